@@ -2,71 +2,362 @@
  * Background Service Worker for Chat With Cat
  * 
  * This script handles:
- * - Context menu creation and event handling
- * - API communication with AI providers (Gemini, OpenRouter, GROQ)
- * - Response caching for performance optimization
- * - Error handling and retries with exponential backoff
+ * - Context menu creation (one item per prompt action) and event handling
+ * - API communication with AI providers (Gemini, OpenRouter, GROQ, local Ollama
+ *   and custom OpenAI-compatible endpoints)
+ * - Streaming response chunks to the content script as they arrive, tagged with
+ *   a request ID so concurrent requests land in the right panel tab
+ * - Persistent response caching (LRU, survives service worker restarts)
+ * - Saving every answered query to the history shown on history.html
+ * - Typed provider errors; only transient ones are retried, with exponential
+ *   backoff that honors Retry-After
+ * - Falling back to the next provider in the user's fallback chain when one fails
+ * - Comparing answers from several provider/model pairs side by side
+ * - Optionally adding the page context around a selection to its prompt
+ * - Summarizing or answering questions about a whole page, part by part when
+ *   it is too long for the model
+ * - Asking about images with multimodal models (Gemini, vision models on
+ *   OpenRouter/GROQ and other OpenAI-compatible endpoints, Ollama)
+ * - Keyboard shortcuts (chrome.commands) for asking, reopening, minimizing and
+ *   switching providers
+ * - Cancelling in-flight requests when the panel stops them or the tab goes away
  */
 
 // ===== CONFIGURATION =====
 
-// Cache settings for storing API responses
-const responseCache = new Map();
+// Cache settings for storing API responses in chrome.storage.local, so they
+// survive the service worker being stopped when idle
+const CACHE_STORAGE_KEY = 'responseCache'; // { [key]: { data, timestamp, lastUsed } }
+const CACHE_STATS_KEY = 'cacheStats';      // { hits, misses }
 const CACHE_EXPIRY = 30 * 60 * 1000; // 30 minutes in milliseconds
+const MAX_CACHE_ENTRIES = 200;       // Least recently used entries are evicted beyond this
 
-// Performance optimization settings
-const DEBOUNCE_DELAY = 300; // Milliseconds to wait before making API call
+// Past queries shown on history.html, newest first; the oldest are dropped beyond the cap
+const HISTORY_STORAGE_KEY = 'history';
+const MAX_HISTORY_ENTRIES = 1000;
+
+// Requests still in progress, by request ID: { controller, tabId }
+const activeRequests = new Map();
+
+// Retry settings for failed API calls
 const MAX_RETRIES = 3;      // Maximum number of retries for failed API calls
 const INITIAL_RETRY_DELAY = 1000; // Milliseconds to wait before first retry
+const MAX_RETRY_AFTER = 60 * 1000; // Longer Retry-After waits are reported instead of retried
+
+// Categories of provider errors, sent to the panel so each gets its own error card
+const ERROR_CATEGORIES = {
+  AUTH: 'auth',             // Missing, invalid or unauthorized API key
+  BAD_MODEL: 'bad-model',   // Unknown, unavailable or decommissioned model
+  RATE_LIMIT: 'rate-limit', // Too many requests, try again shortly
+  QUOTA: 'quota',           // Usage quota or credits used up
+  SERVER: 'server',         // Provider-side failure (5xx)
+  NETWORK: 'network',       // Provider could not be reached
+  BLOCKED: 'blocked',       // Prompt or answer blocked by the provider's safety filters
+  CONFIG: 'config',         // Extension not set up
+  UNKNOWN: 'unknown'
+};
+
+// Only these are worth retrying; the rest fail the same way every time
+const RETRYABLE_CATEGORIES = new Set([
+  ERROR_CATEGORIES.RATE_LIMIT,
+  ERROR_CATEGORIES.SERVER,
+  ERROR_CATEGORIES.NETWORK
+]);
+
+// Prompt actions seeded on install; users manage their own list on the setup page.
+// {selection} in a template is replaced with the selected text
+const DEFAULT_PROMPT_ACTIONS = [
+  { id: 'ask', title: 'Ask', template: '{selection}' },
+  { id: 'explain', title: 'Explain', template: 'Explain the following text:\n\n{selection}' },
+  { id: 'summarize', title: 'Summarize', template: 'Summarize the following text:\n\n{selection}' },
+  { id: 'translate', title: 'Translate to English', template: 'Translate the following text to English:\n\n{selection}' },
+  { id: 'define', title: 'Define', template: 'Define the following term and give a short example of its use:\n\n{selection}' },
+  { id: 'simplify', title: 'Simplify', template: "Explain the following like I'm new to this topic:\n\n{selection}" }
+];
 
 // API endpoints for different providers
 const API_ENDPOINTS = {
-  GROQ: 'https://api.groq.com/openai/v1'
+  OPENROUTER: 'https://openrouter.ai/api/v1',
+  GROQ: 'https://api.groq.com/openai/v1',
+  OLLAMA: 'http://localhost:11434' // Default host; users can point to another one
+};
+
+// Generation settings used when a provider's config doesn't set its own
+const DEFAULT_GENERATION_SETTINGS = {
+  temperature: 0.7,
+  maxTokens: 2048,
+  topP: 1,
+  topK: 32
+};
+
+// Page context added to selection prompts once the setup page turns it on;
+// maxChars is the budget for the whole context, surrounding text included
+const DEFAULT_PAGE_CONTEXT = {
+  enabled: false,
+  maxChars: 2000
+};
+
+// Surrounding text is left out when less room than this remains in the budget
+const MIN_SURROUNDING_CONTEXT = 100;
+
+// Whole-page requests: pages longer than the model's context are read part by
+// part and the notes on each part combined. The context length is the one the
+// setup page saved for the model, else the adapter's or the default guess
+const DEFAULT_CONTEXT_LENGTH = 8192; // In tokens
+const PAGE_PROMPT_TOKENS = 1000;     // Room kept for instructions and the question
+const CHARS_PER_TOKEN = 3;           // Conservative, so parts fit non-English text too
+const MIN_PAGE_CHUNK_CHARS = 2000;
+const MAX_PAGE_CHUNK_CHARS = 60000;  // Even long-context models get parts of this size
+const MAX_PAGE_CHUNKS = 12;          // Later parts of longer pages are left out
+
+// Images sent to multimodal models; larger ones or other formats are refused
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+const SUPPORTED_IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/webp', 'image/gif'];
+
+// Prompt and time limit for the setup page's "Test connection" button
+const CONNECTION_TEST_PROMPT = 'Reply with the single word OK.';
+const CONNECTION_TEST_TIMEOUT = 30 * 1000;
+
+// Display names saved with history entries; custom endpoints use their own name
+const PROVIDER_NAMES = {
+  gemini: 'Google Gemini',
+  openrouter: 'OpenRouter',
+  groq: 'GROQ',
+  ollama: 'Ollama'
 };
 
 console.log('Background script loaded');
 
 // ===== UTILITY FUNCTIONS =====
 
-/**
- * Debounces function calls to prevent excessive API requests
- * @param {Function} func - Function to debounce
- * @param {number} wait - Milliseconds to wait before execution
- * @returns {Function} - Debounced function
- */
-function debounce(func, wait) {
-  let timeout;
-  return function executedFunction(...args) {
-    const later = () => {
-      clearTimeout(timeout);
-      func(...args);
-    };
-    clearTimeout(timeout);
-    timeout = setTimeout(later, wait);
-  };
-}
-
 /**
  * Implements exponential backoff retry strategy
+ * Only errors marked retryable are retried; a Retry-After hint extends the wait
  * @param {Function} fn - Async function to retry
  * @param {number} maxRetries - Maximum number of retry attempts
  * @param {number} initialDelay - Initial delay in milliseconds
+ * @param {AbortSignal} [signal] - Stops further attempts and any pending wait when aborted
  * @returns {Promise} - Result of the function call
  */
-async function retryWithBackoff(fn, maxRetries, initialDelay) {
+async function retryWithBackoff(fn, maxRetries, initialDelay, signal) {
   let retries = 0;
   while (true) {
     try {
       return await fn();
     } catch (error) {
-      if (retries >= maxRetries) throw error;
-      const delay = initialDelay * Math.pow(2, retries);
-      await new Promise(resolve => setTimeout(resolve, delay));
+      if (retries >= maxRetries || signal?.aborted || !error.retryable) throw error;
+      const delay = Math.max(initialDelay * Math.pow(2, retries), error.retryAfter || 0);
+      console.log(`Retrying after ${error.category} error in ${delay}ms`);
+      await wait(delay, signal);
       retries++;
     }
   }
 }
 
+/**
+ * Waits for a number of milliseconds
+ * @param {number} ms - Time to wait
+ * @param {AbortSignal} [signal] - Rejects the wait early when aborted
+ * @returns {Promise<void>} - Resolves after the delay
+ */
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    // The listener goes again once the wait is over, so retries don't pile them up
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+// ===== PROVIDER ERRORS =====
+
+/**
+ * Error from an AI provider, tagged with a category from ERROR_CATEGORIES
+ */
+class ProviderError extends Error {
+  /**
+   * @param {string} message - Readable error message
+   * @param {string} category - One of ERROR_CATEGORIES
+   * @param {Object} [details]
+   * @param {number} [details.status] - HTTP status, if the provider answered
+   * @param {number|null} [details.retryAfter] - Milliseconds the provider asked us to wait
+   */
+  constructor(message, category, { status, retryAfter = null } = {}) {
+    super(message);
+    this.name = 'ProviderError';
+    this.category = category;
+    this.status = status;
+    this.retryAfter = retryAfter;
+    // A wait longer than we are willing to sit through is reported to the user instead
+    this.retryable = RETRYABLE_CATEGORIES.has(category) &&
+      (retryAfter === null || retryAfter <= MAX_RETRY_AFTER);
+  }
+}
+
+/**
+ * Parses a Retry-After header, given either in seconds or as an HTTP date
+ * @param {string|null} value - Header value
+ * @returns {number|null} - Milliseconds to wait, or null if missing/invalid
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+  if (/^\d+$/.test(value.trim())) {
+    return parseInt(value, 10) * 1000;
+  }
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Turns a failed HTTP response into a categorized error
+ * Providers differ in status codes (Gemini answers a bad key with 400, for example),
+ * so the message text is checked as well
+ * @param {Response} response - Failed fetch response
+ * @param {string} message - Readable error message built from the response body
+ * @returns {ProviderError} - Error to throw
+ */
+function createHttpError(response, message) {
+  const status = response.status;
+  const text = message.toLowerCase();
+  const outOfCredit = /billing|insufficient[ _](quota|credits|balance|funds)/.test(text);
+  let category;
+
+  if (status === 429) {
+    // Per-minute limits mention the quota too (Gemini's even mention billing) but clear up
+    // by themselves, so only billing text without one means the account ran out
+    category = outOfCredit && !/per ?minute/.test(text) ? ERROR_CATEGORIES.QUOTA : ERROR_CATEGORIES.RATE_LIMIT;
+  } else if (status === 401 || status === 403 || /api key not valid|invalid api key|incorrect api key/.test(text)) {
+    category = ERROR_CATEGORIES.AUTH;
+  } else if (status === 402 || outOfCredit) {
+    category = ERROR_CATEGORIES.QUOTA;
+  } else if (status === 404 || /decommissioned|model not found|no longer available|does not exist|support image input|image input is not supported/.test(text)) {
+    category = ERROR_CATEGORIES.BAD_MODEL;
+  } else if (status === 408 || status >= 500) {
+    category = ERROR_CATEGORIES.SERVER;
+  } else {
+    category = ERROR_CATEGORIES.UNKNOWN;
+  }
+
+  return new ProviderError(message, category, {
+    status,
+    retryAfter: parseRetryAfter(response.headers.get('Retry-After'))
+  });
+}
+
+/**
+ * Categorizes an error reported inside a stream, after the HTTP status was already sent
+ * @param {string} message - Error message from the stream
+ * @param {number|string} [code] - Error code from the stream, if any
+ * @returns {ProviderError} - Error to throw
+ */
+function createStreamError(message, code) {
+  // Without a usable code, treat it as a server failure unless the text says otherwise
+  const status = Number(code) >= 400 ? Number(code) : 500;
+  return createHttpError({ status, headers: new Headers() }, message);
+}
+
+/**
+ * Reads the next chunk of a streamed response body
+ * @param {ReadableStreamDefaultReader} reader - Reader of the response body
+ * @returns {Promise<{done: boolean, value: Uint8Array}>} - Result of reader.read()
+ * @throws {ProviderError} - NETWORK if the connection drops mid-stream; an abort is rethrown as is
+ */
+async function readStreamChunk(reader) {
+  try {
+    return await reader.read();
+  } catch (error) {
+    if (error.name === 'AbortError') throw error;
+    throw new ProviderError(`The connection was lost while the answer was streaming (${error.message}).`,
+      ERROR_CATEGORIES.NETWORK);
+  }
+}
+
+/**
+ * Reads a Server-Sent Events stream and passes each parsed data payload on
+ * @param {Response} response - Fetch response with an event-stream body
+ * @param {Function} onData - Called with each parsed JSON payload
+ * @returns {Promise<void>} - Resolves when the stream ends or sends [DONE]
+ */
+async function readEventStream(response, onData) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { done, value } = await readStreamChunk(reader);
+    buffer += decoder.decode(value || new Uint8Array(), { stream: !done });
+
+    // Events are separated by line breaks; keep any partial line for the next read
+    const lines = buffer.split(/\r?\n/);
+    buffer = done ? '' : lines.pop();
+
+    for (const line of lines) {
+      // Skip blank separators and comment lines (e.g. OpenRouter keep-alives)
+      if (!line.startsWith('data:')) continue;
+      const payload = line.slice(5).trim();
+      if (payload === '[DONE]') return;
+      if (!payload) continue;
+
+      let data;
+      try {
+        data = JSON.parse(payload);
+      } catch (error) {
+        console.warn('Skipping malformed stream event:', payload);
+        continue;
+      }
+      onData(data);
+    }
+
+    if (done) return;
+  }
+}
+
+/**
+ * Reads a newline-delimited JSON stream (as returned by Ollama)
+ * @param {Response} response - Fetch response with an NDJSON body
+ * @param {Function} onData - Called with each parsed JSON object
+ * @returns {Promise<void>} - Resolves when the stream ends or sends an object with done: true
+ */
+async function readJsonLines(response, onData) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { done, value } = await readStreamChunk(reader);
+    buffer += decoder.decode(value || new Uint8Array(), { stream: !done });
+
+    const lines = buffer.split('\n');
+    buffer = done ? '' : lines.pop();
+
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      let data;
+      try {
+        data = JSON.parse(line);
+      } catch (error) {
+        console.warn('Skipping malformed stream line:', line);
+        continue;
+      }
+      onData(data);
+
+      // Ollama marks its last object; don't wait for the connection to close
+      if (data.done === true) {
+        reader.cancel().catch(() => {});
+        return;
+      }
+    }
+
+    if (done) return;
+  }
+}
+
 // ===== EXTENSION INITIALIZATION =====
 
 /**
@@ -74,15 +365,16 @@ async function retryWithBackoff(fn, maxRetries, initialDelay) {
  * Create context menu and show setup page if needed
  */
 chrome.runtime.onInstalled.addListener(() => {
-  console.log('Extension installed, creating context menu');
-  chrome.contextMenus.create({
-    id: "askAI",
-    title: "Ask AI about: \"%s\"",
-    contexts: ["selection"]
-  });
+  chrome.storage.local.get(['apiConfig', 'promptActions', 'compareTargets'], function(data) {
+    // Seed the default prompt actions; the storage listener below won't fire
+    // when nothing changes, so build the menu directly otherwise
+    if (!data.promptActions) {
+      chrome.storage.local.set({ promptActions: DEFAULT_PROMPT_ACTIONS });
+    } else {
+      buildContextMenus(data.promptActions, data.compareTargets);
+    }
 
-  // Show welcome/setup page on first install
-  chrome.storage.local.get(['apiConfig'], function(data) {
+    // Show welcome/setup page on first install
     if (!data.apiConfig) {
       console.log('No configuration found, opening setup page');
       chrome.tabs.create({ url: "setup.html" });
@@ -90,6 +382,169 @@ chrome.runtime.onInstalled.addListener(() => {
   });
 });
 
+/**
+ * (Re)create the context menu with one submenu item per prompt action
+ * With no actions, the top-level item sends the raw selection itself.
+ * The page menu gets "Summarize this page" and "Ask about this page", images "Ask AI about this image".
+ * With two or more models picked for comparison, a "Compare" submenu repeats the actions
+ * @param {Array<Object>} promptActions - Actions from storage, in menu order
+ * @param {Array<Object>} [compareTargets=[]] - Provider/model pairs to compare
+ */
+function buildContextMenus(promptActions, compareTargets = []) {
+  console.log(`Creating context menu with ${promptActions.length} prompt actions`);
+  chrome.contextMenus.removeAll(() => {
+    chrome.contextMenus.create({
+      id: "askAI",
+      title: "Ask AI about: \"%s\"",
+      contexts: ["selection"]
+    });
+
+    promptActions.forEach(promptAction => {
+      chrome.contextMenus.create({
+        id: `action:${promptAction.id}`,
+        parentId: "askAI",
+        title: promptAction.title,
+        contexts: ["selection"]
+      });
+    });
+
+    // Right-clicking the page without a selection works on the whole page
+    chrome.contextMenus.create({ id: "summarizePage", title: "Summarize this page", contexts: ["page"] });
+    chrome.contextMenus.create({ id: "askPage", title: "Ask about this page", contexts: ["page"] });
+    chrome.contextMenus.create({ id: "askImage", title: "Ask AI about this image", contexts: ["image"] });
+
+    if (compareTargets.length < 2) return;
+
+    // The top-level item stops being clickable once it has children, so keep a plain ask
+    if (promptActions.length === 0) {
+      chrome.contextMenus.create({ id: "askPlain", parentId: "askAI", title: "Ask", contexts: ["selection"] });
+    }
+    chrome.contextMenus.create({ id: "compareSeparator", parentId: "askAI", type: "separator", contexts: ["selection"] });
+    chrome.contextMenus.create({
+      id: "compare",
+      parentId: "askAI",
+      title: `Compare ${compareTargets.length} models`,
+      contexts: ["selection"]
+    });
+    promptActions.forEach(promptAction => {
+      chrome.contextMenus.create({
+        id: `compare:${promptAction.id}`,
+        parentId: "compare",
+        title: promptAction.title,
+        contexts: ["selection"]
+      });
+    });
+  });
+}
+
+// Rebuild the menu whenever the prompt library or the models to compare change on the setup page
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && (changes.promptActions || changes.compareTargets)) {
+    chrome.storage.local.get(['promptActions', 'compareTargets'], function(data) {
+      buildContextMenus(data.promptActions || [], data.compareTargets || []);
+    });
+  }
+});
+
+/**
+ * Build the prompt for a selection from an action's template
+ * @param {string} template - Template text, usually containing {selection}
+ * @param {string} selectionText - Text selected on the page
+ * @returns {string} - Prompt to send to the AI provider
+ */
+function applyPromptTemplate(template, selectionText) {
+  if (!template.includes('{selection}')) {
+    return `${template}\n\n${selectionText}`;
+  }
+  // split/join rather than replace() so "$" sequences in the selection stay literal
+  return template.split('{selection}').join(selectionText);
+}
+
+/**
+ * Reads the page context around a selection from the tab's content script
+ * Pages without the content script (e.g. the Chrome Web Store) only get the tab's title and URL
+ * @param {Object} tab - Tab the selection was made in
+ * @returns {Promise<Object>} - { title, url, headings, surrounding }
+ */
+async function collectPageContext(tab) {
+  try {
+    const context = await chrome.tabs.sendMessage(tab.id, { action: "getPageContext" }, { frameId: 0 });
+    if (context) return context;
+  } catch (error) {
+    console.warn('Could not read the page context:', error.message);
+  }
+  return { title: tab.title, url: tab.url, headings: [], surrounding: '' };
+}
+
+/**
+ * Formats the page context for the prompt within a character budget
+ * Surrounding text that doesn't fit is cut down to the part around the selection
+ * @param {Object} context - { title, url, headings, surrounding } from collectPageContext
+ * @param {string} selectionText - Text selected on the page
+ * @param {number} maxChars - Most characters the formatted context may use
+ * @returns {string} - Context text, or an empty string if there is none
+ */
+function formatPageContext(context, selectionText, maxChars) {
+  const lines = [];
+  if (context.title) lines.push(`Page title: ${context.title}`);
+  if (context.url) lines.push(`URL: ${context.url}`);
+  if (context.headings && context.headings.length) lines.push(`Section: ${context.headings.join(' › ')}`);
+  let text = lines.join('\n');
+
+  const selection = selectionText.replace(/\s+/g, ' ').trim();
+  const surrounding = (context.surrounding || '').replace(/\s+/g, ' ').trim();
+  const label = `${text ? '\n' : ''}Surrounding text: `;
+  const room = maxChars - text.length - label.length;
+  // A selection that is the whole block adds nothing to the prompt itself
+  if (surrounding && surrounding !== selection && room >= MIN_SURROUNDING_CONTEXT) {
+    text += label + excerptAround(surrounding, selection, room);
+  }
+  return text.slice(0, maxChars);
+}
+
+/**
+ * Cuts text down to the part centred on the selection, marking cuts with "…"
+ * @param {string} text - Text containing the selection
+ * @param {string} selection - Selected text, with whitespace collapsed like the text
+ * @param {number} maxLength - Most characters to return
+ * @returns {string} - Excerpt
+ */
+function excerptAround(text, selection, maxLength) {
+  if (text.length <= maxLength) {
+    return text;
+  }
+  const length = maxLength - 2; // Room for an ellipsis on both sides
+  const index = Math.max(text.indexOf(selection), 0);
+  const start = Math.max(0, Math.min(index + Math.floor((selection.length - length) / 2), text.length - length));
+  const end = start + length;
+  return (start > 0 ? '…' : '') + text.slice(start, end) + (end < text.length ? '…' : '');
+}
+
+/**
+ * Adds the page context to a selection prompt when the user turned it on
+ * @param {string} prompt - Prompt built from the selection
+ * @param {Object} info - Context menu click info
+ * @param {Object} tab - Tab the selection was made in
+ * @returns {Promise<Object>} - { prompt, pageContext } where pageContext is the
+ *   context text that was added, or null
+ */
+async function addPageContext(prompt, info, tab) {
+  const data = await chrome.storage.local.get(['pageContext']);
+  const settings = { ...DEFAULT_PAGE_CONTEXT, ...data.pageContext };
+  if (!settings.enabled) {
+    return { prompt, pageContext: null };
+  }
+
+  const pageContext = formatPageContext(await collectPageContext(tab), info.selectionText, settings.maxChars);
+  if (!pageContext) {
+    return { prompt, pageContext: null };
+  }
+  return {
+    prompt: `Context from the page the text was selected on:\n${pageContext}\n\n---\n\n${prompt}`,
+    pageContext
+  };
+}
+
 // Open setup page when extension icon is clicked
 chrome.action.onClicked.addListener(() => {
   console.log('Extension icon clicked, opening setup page');
@@ -100,12 +555,20 @@ chrome.action.onClicked.addListener(() => {
 
 /**
  * Send AI response to content script for display
- * @param {string} responseText - Text response from AI
+ * @param {Object} payload - Fields merged into the displayResponse message
+ * @param {string} payload.requestId - Request the response answers
+ * @param {string} payload.response - Text response from AI (or error message)
+ * @param {boolean} [payload.isError] - Whether the response is an error message
+ * @param {string} [payload.errorCategory] - For errors, one of ERROR_CATEGORIES
+ * @param {number|null} [payload.retryAfter] - For errors, the provider's Retry-After wait in ms
+ * @param {string|null} [payload.fallbackFrom] - Name of the active provider, when a fallback answered instead
+ * @param {number} [payload.latency] - For comparisons, milliseconds the answer took
+ * @param {string} [payload.prompt] - For whole-page requests, the final prompt built from the page
  * @param {number} tabId - ID of the browser tab to send response to
  * @param {number} [retries=3] - Number of retry attempts remaining
  * @param {number} [delay=500] - Delay between retries in milliseconds
  */
-function sendResponseToContent(responseText, tabId, retries = 3, delay = 500) {
+function sendResponseToContent(payload, tabId, retries = 3, delay = 500) {
   // First check if the tab still exists
   chrome.tabs.get(tabId, (tab) => {
     if (chrome.runtime.lastError) {
@@ -115,7 +578,7 @@ function sendResponseToContent(responseText, tabId, retries = 3, delay = 500) {
     
     chrome.tabs.sendMessage(tabId, {
       action: "displayResponse",
-      response: responseText
+      ...payload
     }, response => {
       if (chrome.runtime.lastError) {
         console.warn('Error sending response to content script:', chrome.runtime.lastError);
@@ -124,7 +587,7 @@ function sendResponseToContent(responseText, tabId, retries = 3, delay = 500) {
         if (retries > 0) {
           console.log(`Retrying message sending in ${delay}ms. ${retries} attempts left.`);
           setTimeout(() => {
-            sendResponseToContent(responseText, tabId, retries - 1, delay * 1.5);
+            sendResponseToContent(payload, tabId, retries - 1, delay * 1.5);
           }, delay);
         } else {
           console.error('Failed to send message after multiple attempts');
@@ -136,240 +599,1562 @@ function sendResponseToContent(responseText, tabId, retries = 3, delay = 500) {
   });
 }
 
+/**
+ * Forward a streamed piece of the AI response to the content script
+ * Chunks are best-effort: the complete text still follows via displayResponse
+ * @param {string} chunk - Newly received text
+ * @param {number} tabId - ID of the browser tab to send the chunk to
+ * @param {string} requestId - Request the chunk belongs to
+ */
+function sendChunkToContent(chunk, tabId, requestId) {
+  chrome.tabs.sendMessage(tabId, {
+    action: "streamChunk",
+    requestId: requestId,
+    chunk: chunk
+  }, () => {
+    // Read lastError so a closed tab doesn't log an unchecked error per chunk
+    if (chrome.runtime.lastError) {
+      console.warn('Error sending chunk to content script:', chrome.runtime.lastError.message);
+    }
+  });
+}
+
 // ===== API PROVIDER IMPLEMENTATIONS =====
 
 /**
  * Provider-specific API communication implementations
- * Each provider has its own fetchResponse method
+ * Each provider has its own fetchResponse method, which takes the conversation
+ * as a list of { role: 'user' | 'assistant', content, images? } messages, where
+ * images are { mimeType, data } with base64 data, streams the
+ * answer through onChunk as it arrives and resolves with the complete text.
+ * Its optional AbortSignal cancels the request; the AbortError is passed through.
+ * Generation settings and the system prompt come from the config (see getGenerationSettings).
+ * Providers that run locally set requiresApiKey: false; defaultContextLength
+ * (in tokens) overrides DEFAULT_CONTEXT_LENGTH when the model's isn't known.
+ * listModels resolves with { id, contextLength, free } per model, using null
+ * where the provider doesn't say.
  */
 const apiProviders = {
   // Google Gemini API implementation
   gemini: {
-    async fetchResponse(text, config) {
-      const url = `https://generativelanguage.googleapis.com/v1beta/models/${config.selectedModel}:generateContent`;
-      const response = await fetch(`${url}?key=${config.apiKey}`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          contents: [{
-            parts: [{ text: text }]
-          }],
-          generationConfig: {
-            temperature: 0.7,
-            maxOutputTokens: 2048,
-            topP: 1,
-            topK: 32
-          }
-        })
-      });
+    async fetchResponse(messages, config, onChunk = () => {}, signal) {
+      const url = `https://generativelanguage.googleapis.com/v1beta/models/${config.selectedModel}:streamGenerateContent`;
+      const settings = getGenerationSettings(config);
+      const body = {
+        // Gemini calls the assistant side of the conversation "model"
+        contents: messages.map(message => ({
+          role: message.role === 'assistant' ? 'model' : 'user',
+          parts: [
+            { text: message.content },
+            ...(message.images || []).map(image => ({ inlineData: { mimeType: image.mimeType, data: image.data } }))
+          ]
+        })),
+        generationConfig: {
+          temperature: settings.temperature,
+          maxOutputTokens: settings.maxTokens,
+          topP: settings.topP,
+          topK: settings.topK
+        }
+      };
+      if (settings.systemPrompt) {
+        body.systemInstruction = { parts: [{ text: settings.systemPrompt }] };
+      }
+
+      let response;
+      try {
+        response = await fetch(`${url}?alt=sse&key=${config.apiKey}`, {
+          method: 'POST',
+          signal: signal,
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(body)
+        });
+      } catch (error) {
+        if (error.name === 'AbortError') throw error;
+        throw new ProviderError('Network error. Please check your internet connection.', ERROR_CATEGORIES.NETWORK);
+      }
 
       if (!response.ok) {
-        const errorData = await response.json().catch(() => null);
-        let errorMessage = `HTTP error! status: ${response.status}`;
-        if (errorData?.error?.message) {
-          errorMessage = errorData.error.message;
-          if (errorMessage.includes('API key not valid')) {
-            errorMessage += '. Please check your API key in the extension settings.';
-          } else if (errorMessage.includes('Model not found')) {
-            errorMessage += '. Please verify the model name in the extension settings.';
-          }
+        throw createHttpError(response, await getGeminiErrorMessage(response));
+      }
+
+      let fullText = '';
+      let blockReason = null;
+      await readEventStream(response, data => {
+        if (data.error?.message) {
+          throw createStreamError(data.error.message, data.error.code);
         }
-        throw new Error(errorMessage);
+        // Blocked prompts come back with promptFeedback, blocked answers with a finishReason
+        const finishReason = data.candidates?.[0]?.finishReason;
+        blockReason = data.promptFeedback?.blockReason ||
+          (GEMINI_BLOCK_REASONS.includes(finishReason) ? finishReason : blockReason);
+        const chunk = (data.candidates?.[0]?.content?.parts || [])
+          .map(part => part.text || '')
+          .join('');
+        if (chunk) {
+          fullText += chunk;
+          onChunk(chunk);
+        }
+      });
+
+      if (!fullText && blockReason) {
+        throw new ProviderError(`Gemini blocked this request (reason: ${blockReason}).`, ERROR_CATEGORIES.BLOCKED);
+      }
+      if (!fullText) {
+        throw new ProviderError("Unexpected API response format", ERROR_CATEGORIES.SERVER);
       }
+      return fullText;
+    },
 
-      const data = await response.json();
-      if (!data.candidates?.[0]?.content?.parts?.[0]?.text) {
-        throw new Error("Unexpected API response format");
+    async listModels(config) {
+      let response;
+      try {
+        response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models?pageSize=1000&key=${config.apiKey}`);
+      } catch (error) {
+        throw new ProviderError('Network error. Please check your internet connection.', ERROR_CATEGORIES.NETWORK);
+      }
+
+      if (!response.ok) {
+        throw createHttpError(response, await getGeminiErrorMessage(response));
       }
-      return data.candidates[0].content.parts[0].text;
+
+      const data = await response.json();
+      return (data.models || [])
+        // Embedding and other models can't be chatted with
+        .filter(model => (model.supportedGenerationMethods || []).includes('generateContent'))
+        .map(model => ({
+          id: model.name.replace(/^models\//, ''),
+          contextLength: model.inputTokenLimit || null,
+          free: null
+        }));
     }
   },
 
   // OpenRouter API implementation
   openrouter: {
-    async fetchResponse(text, config) {
-      const response = await fetch('https://openrouter.ai/api/v1/chat/completions', {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${config.apiKey}`,
-          'Content-Type': 'application/json',
-          'HTTP-Referer': 'https://github.com/extension'
-        },
-        body: JSON.stringify({
-          model: config.selectedModel,
-          messages: [{
-            role: 'user',
-            content: text
-          }],
-          temperature: 0.7,
-          max_tokens: 2048,
-          stream: false
-        })
-      });
-
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => null);
-        let errorMessage = `HTTP error! status: ${response.status}`;
-        if (errorData?.error?.message) {
-          errorMessage = errorData.error.message;
-          if (response.status === 401) {
-            errorMessage += '. Please check your API key in the extension settings.';
-          } else if (response.status === 404) {
-            errorMessage += '. Please verify the model name in the extension settings.';
-          }
-        }
-        throw new Error(errorMessage);
-      }
+    async fetchResponse(messages, config, onChunk = () => {}, signal) {
+      return fetchChatCompletion(API_ENDPOINTS.OPENROUTER, {
+        'HTTP-Referer': 'https://github.com/extension'
+      }, messages, config, onChunk, signal);
+    },
 
-      const data = await response.json();
-      if (!data.choices?.[0]?.message?.content) {
-        throw new Error("Unexpected API response format");
-      }
-      return data.choices[0].message.content;
+    async listModels(config) {
+      return listChatCompletionModels(API_ENDPOINTS.OPENROUTER, {}, config);
     }
   },
 
   // GROQ API implementation
   groq: {
-    async fetchResponse(text, config) {
+    async fetchResponse(messages, config, onChunk = () => {}, signal) {
+      return fetchChatCompletion(API_ENDPOINTS.GROQ, {}, messages, config, onChunk, signal);
+    },
+
+    async listModels(config) {
+      return listChatCompletionModels(API_ENDPOINTS.GROQ, {}, config);
+    }
+  },
+
+  // User-registered OpenAI-compatible endpoints (gateways, LM Studio, vLLM, ...)
+  // Their config carries the base URL, optional key and extra headers
+  custom: {
+    requiresApiKey: false,
+
+    async fetchResponse(messages, config, onChunk = () => {}, signal) {
+      return fetchChatCompletion(config.baseUrl, config.headers, messages, config, onChunk, signal);
+    },
+
+    async listModels(config) {
+      return listChatCompletionModels(config.baseUrl, config.headers, config);
+    }
+  },
+
+  // Local Ollama implementation (native /api/chat endpoint, no API key)
+  ollama: {
+    requiresApiKey: false,
+    defaultContextLength: 4096, // Ollama's default num_ctx
+
+    async fetchResponse(messages, config, onChunk = () => {}, signal) {
+      const host = getOllamaHost(config);
+      const settings = getGenerationSettings(config);
+      let response;
       try {
-        const response = await fetch(`${API_ENDPOINTS.GROQ}/chat/completions`, {
+        response = await fetch(`${host}/api/chat`, {
           method: 'POST',
-          headers: {
-            'Authorization': `Bearer ${config.apiKey}`,
-            'Content-Type': 'application/json',
-            'Accept': 'application/json'
-          },
+          signal: signal,
+          headers: { 'Content-Type': 'application/json' },
           body: JSON.stringify({
             model: config.selectedModel,
-            messages: [{
-              role: 'user',
-              content: text
-            }],
-            temperature: 0.7,
-            max_tokens: 2048
+            // Ollama takes images as a list of base64 strings on the message
+            messages: withSystemMessage(messages.map(message => ({
+              role: message.role,
+              content: message.content,
+              ...(message.images ? { images: message.images.map(image => image.data) } : {})
+            })), settings.systemPrompt),
+            stream: true,
+            options: {
+              temperature: settings.temperature,
+              num_predict: settings.maxTokens,
+              top_p: settings.topP,
+              top_k: settings.topK
+            }
           })
         });
+      } catch (error) {
+        if (error.name === 'AbortError') throw error;
+        throw new ProviderError(`Could not reach Ollama at ${host}. Make sure it is running.`, ERROR_CATEGORIES.NETWORK);
+      }
 
-        const errorData = await response.json().catch(() => null);
-        
-        if (!response.ok || (errorData && errorData.error)) {
-          let errorMessage = '';
-          
-          if (errorData?.error) {
-            errorMessage = errorData.error.message || errorData.error;
-            
-            // Handle specific error cases
-            if (errorMessage.includes('has been decommissioned')) {
-              const recommendation = errorData.error.message.split('refer to ')[1];
-              errorMessage = `Model ${config.selectedModel} is no longer available. Please check ${recommendation}`;
-            }
-            else if (errorData.error.type === 'invalid_request_error') {
-              errorMessage = 'Invalid model name. Please check available models at console.groq.com/docs';
-            }
-          } else {
-            errorMessage = `HTTP error! status: ${response.status}`;
-          }
-
-          if (response.status === 401) {
-            errorMessage += '. Please check your API key in the extension settings.';
-          }
+      if (!response.ok) {
+        throw createHttpError(response, await getOllamaErrorMessage(response, config));
+      }
 
-          throw new Error(errorMessage);
+      let fullText = '';
+      await readJsonLines(response, data => {
+        if (data.error) {
+          throw createStreamError(data.error);
         }
-
-        if (!errorData.choices?.[0]?.message?.content) {
-          throw new Error("Unexpected API response format");
+        const chunk = data.message?.content;
+        if (chunk) {
+          fullText += chunk;
+          onChunk(chunk);
         }
-        return errorData.choices[0].message.content;
+      });
+
+      if (!fullText) {
+        throw new ProviderError("Unexpected API response format", ERROR_CATEGORIES.SERVER);
+      }
+      return fullText;
+    },
+
+    async listModels(config) {
+      const host = getOllamaHost(config);
+      let response;
+      try {
+        response = await fetch(`${host}/api/tags`);
       } catch (error) {
-        if (error.message.includes('Failed to fetch')) {
-          throw new Error('Network error. Please check your internet connection.');
-        }
-        throw error;
+        throw new ProviderError(`Could not reach Ollama at ${host}. Make sure it is running.`, ERROR_CATEGORIES.NETWORK);
+      }
+
+      if (!response.ok) {
+        throw createHttpError(response, await getOllamaErrorMessage(response, config));
       }
+
+      const data = await response.json();
+      return (data.models || []).map(model => ({ id: model.name, contextLength: null, free: null }));
     }
   }
 };
 
-// ===== MAIN FUNCTIONALITY =====
+// Gemini finish reasons that mean the answer was withheld by a safety filter
+const GEMINI_BLOCK_REASONS = ['SAFETY', 'RECITATION', 'BLOCKLIST', 'PROHIBITED_CONTENT', 'SPII'];
 
 /**
- * Fetch AI response with caching, retries, and debouncing
- * @param {string} text - The user selected text to analyze
- * @param {number} tabId - Browser tab ID to send response to
+ * Gets the generation settings for a request, filling in defaults for unset values
+ * @param {Object} config - Provider configuration, optionally with temperature,
+ *   maxTokens, topP, topK and systemPrompt
+ * @returns {Object} - { temperature, maxTokens, topP, topK, systemPrompt }
  */
-const fetchAIResponse = debounce(async (text, tabId) => {
-  try {
-    // Get current configuration from storage
-    const { apiConfig, activeProvider } = await chrome.storage.local.get(['apiConfig', 'activeProvider']);
-    
-    // Validate configuration exists
-    if (!apiConfig || !activeProvider || !apiConfig[activeProvider]) {
-      throw new Error("AI provider not configured. Please set up the extension first.");
+function getGenerationSettings(config) {
+  const settings = { ...DEFAULT_GENERATION_SETTINGS, systemPrompt: (config.systemPrompt || '').trim() };
+  Object.keys(DEFAULT_GENERATION_SETTINGS).forEach(key => {
+    if (typeof config[key] === 'number') {
+      settings[key] = config[key];
     }
+  });
+  return settings;
+}
 
-    const config = apiConfig[activeProvider];
+/**
+ * Puts the system prompt in front of a conversation as a "system" message
+ * @param {Array<Object>} messages - Conversation messages
+ * @param {string} systemPrompt - System prompt, or an empty string for none
+ * @returns {Array<Object>} - Messages to send
+ */
+function withSystemMessage(messages, systemPrompt) {
+  return systemPrompt ? [{ role: 'system', content: systemPrompt }, ...messages] : messages;
+}
 
-    // Validate required config values
-    if (!config.selectedModel) {
-      throw new Error("No model selected. Please configure a model in the extension settings.");
-    }
+/**
+ * Converts messages to the OpenAI chat format; ones with images get text and image_url parts
+ * @param {Array<Object>} messages - Conversation messages
+ * @returns {Array<Object>} - Messages to send
+ */
+function toChatCompletionMessages(messages) {
+  return messages.map(message => ({
+    role: message.role,
+    content: message.images && message.images.length
+      ? [
+        { type: 'text', text: message.content },
+        ...message.images.map(image => ({
+          type: 'image_url',
+          image_url: { url: `data:${image.mimeType};base64,${image.data}` }
+        }))
+      ]
+      : message.content
+  }));
+}
 
-    if (!config.apiKey) {
-      throw new Error("API key not found. Please set up your API key in the extension settings.");
-    }
+/**
+ * Normalizes the configured Ollama host, falling back to the default
+ * @param {Object} config - Ollama provider configuration
+ * @returns {string} - Host URL without a trailing slash
+ */
+function getOllamaHost(config) {
+  return (config.host || API_ENDPOINTS.OLLAMA).replace(/\/+$/, '');
+}
 
-    // Check response cache first to avoid unnecessary API calls
-    const cacheKey = `${text}-${activeProvider}-${config.selectedModel}`;
-    const cachedResponse = responseCache.get(cacheKey);
-    if (cachedResponse && Date.now() - cachedResponse.timestamp < CACHE_EXPIRY) {
-      console.log('Cache hit, returning cached response');
-      sendResponseToContent(cachedResponse.data, tabId);
-      return;
+/**
+ * Builds a readable error message from a failed Gemini response
+ * @param {Response} response - Failed fetch response
+ * @returns {Promise<string>} - Error message
+ */
+async function getGeminiErrorMessage(response) {
+  // The streaming endpoint may wrap its error body in an array
+  let errorData = await response.json().catch(() => null);
+  if (Array.isArray(errorData)) errorData = errorData[0];
+  let errorMessage = `HTTP error! status: ${response.status}`;
+  if (errorData?.error?.message) {
+    errorMessage = errorData.error.message;
+    if (errorMessage.includes('API key not valid')) {
+      errorMessage += '. Please check your API key in the extension settings.';
+    } else if (errorMessage.includes('Model not found')) {
+      errorMessage += '. Please verify the model name in the extension settings.';
     }
+  }
+  return errorMessage;
+}
 
-    console.log(`Making API request to ${activeProvider} using model ${config.selectedModel}`);
-    
-    // Make API request with retry mechanism
-    const responseText = await retryWithBackoff(
-      () => apiProviders[activeProvider].fetchResponse(text, config),
-      MAX_RETRIES,
-      INITIAL_RETRY_DELAY
-    );
-
-    // Cache successful response for future requests
-    responseCache.set(cacheKey, {
-      data: responseText,
-      timestamp: Date.now()
-    });
+/**
+ * Builds a readable error message from a failed Ollama response
+ * @param {Response} response - Failed fetch response
+ * @param {Object} config - Ollama provider configuration
+ * @returns {Promise<string>} - Error message
+ */
+async function getOllamaErrorMessage(response, config) {
+  const errorData = await response.json().catch(() => null);
+  let errorMessage = errorData?.error || `HTTP error! status: ${response.status}`;
 
-    // Send response to content script for display
-    sendResponseToContent(responseText, tabId);
+  if (response.status === 403) {
+    // Ollama rejects requests from origins it doesn't know about
+    errorMessage = 'Ollama refused the request from the extension. Start Ollama with OLLAMA_ORIGINS=chrome-extension://* and try again.';
+  } else if (response.status === 404 && errorMessage.includes('not found')) {
+    errorMessage += `. Run "ollama pull ${config.selectedModel}" or pick an installed model in the extension settings.`;
+  }
+  return errorMessage;
+}
 
-  } catch (error) {
-    console.error("Error fetching from AI provider:", error);
-    sendResponseToContent(`Error: ${error.message}`, tabId);
+/**
+ * Looks up the adapter for a provider ID
+ * Custom endpoints are stored as "custom:<id>" and all share one adapter
+ * @param {string} providerId - Provider ID as stored in activeProvider
+ * @returns {Object|undefined} - Provider implementation from apiProviders
+ */
+function getProviderAdapter(providerId) {
+  if (providerId?.startsWith('custom:')) {
+    return apiProviders.custom;
   }
-}, DEBOUNCE_DELAY);
+  return apiProviders[providerId];
+}
 
-// ===== EVENT LISTENERS =====
+/**
+ * Strips trailing slashes so paths can be appended to a base URL
+ * @param {string} baseUrl - Base URL as entered by the user
+ * @returns {string} - Base URL without a trailing slash
+ */
+function normalizeBaseUrl(baseUrl) {
+  return (baseUrl || '').trim().replace(/\/+$/, '');
+}
 
 /**
- * Handle context menu clicks and start the AI query process
+ * Calls an OpenAI-compatible chat completions endpoint with streaming
+ * @param {string} baseUrl - API base URL, e.g. https://api.groq.com/openai/v1
+ * @param {Object} extraHeaders - Additional request headers for this endpoint
+ * @param {Array<Object>} messages - Conversation messages
+ * @param {Object} config - Provider configuration with apiKey and selectedModel
+ * @param {Function} onChunk - Called with each content delta
+ * @param {AbortSignal} [signal] - Cancels the request
+ * @returns {Promise<string>} - The complete response text
  */
-chrome.contextMenus.onClicked.addListener((info, tab) => {
-  console.log('Context menu clicked:', info.menuItemId);
-  if (info.menuItemId === "askAI" && info.selectionText) {
-    console.log('Selected text:', info.selectionText.substring(0, 50) + '...');
-    
-    // Notify content script to show loading state
-    chrome.tabs.sendMessage(tab.id, {
-      action: "processSelection",
-      text: info.selectionText
-    });
-    
-    // Process the text with the active AI provider
-    fetchAIResponse(info.selectionText, tab.id);
+async function fetchChatCompletion(baseUrl, extraHeaders, messages, config, onChunk, signal) {
+  const headers = {
+    ...extraHeaders,
+    'Content-Type': 'application/json',
+    'Accept': 'text/event-stream'
+  };
+  // Local servers such as LM Studio accept requests without a key
+  if (config.apiKey) {
+    headers['Authorization'] = `Bearer ${config.apiKey}`;
+  }
+
+  // top_k isn't part of the OpenAI API and some servers reject it, so it is left out
+  const settings = getGenerationSettings(config);
+  let response;
+  try {
+    response = await fetch(`${normalizeBaseUrl(baseUrl)}/chat/completions`, {
+      method: 'POST',
+      signal: signal,
+      headers: headers,
+      body: JSON.stringify({
+        model: config.selectedModel,
+        messages: withSystemMessage(toChatCompletionMessages(messages), settings.systemPrompt),
+        temperature: settings.temperature,
+        max_tokens: settings.maxTokens,
+        top_p: settings.topP,
+        stream: true
+      })
+    });
+  } catch (error) {
+    if (error.name === 'AbortError') throw error;
+    throw new ProviderError('Network error. Please check your internet connection.', ERROR_CATEGORIES.NETWORK);
+  }
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => null);
+    throw createHttpError(response, getChatCompletionErrorMessage(response, errorData, config));
+  }
+
+  const fullText = await readChatCompletionStream(response, onChunk);
+  if (!fullText) {
+    throw new ProviderError("Unexpected API response format", ERROR_CATEGORIES.SERVER);
+  }
+  return fullText;
+}
+
+/**
+ * Lists the models of an OpenAI-compatible endpoint
+ * OpenRouter adds context length and pricing, GROQ a context window; others just IDs
+ * @param {string} baseUrl - API base URL
+ * @param {Object} extraHeaders - Additional request headers for this endpoint
+ * @param {Object} config - Provider configuration with an optional apiKey
+ * @returns {Promise<Array<Object>>} - { id, contextLength, free } per model, sorted by ID
+ */
+async function listChatCompletionModels(baseUrl, extraHeaders, config) {
+  const headers = { ...extraHeaders };
+  if (config.apiKey) {
+    headers['Authorization'] = `Bearer ${config.apiKey}`;
+  }
+
+  let response;
+  try {
+    response = await fetch(`${normalizeBaseUrl(baseUrl)}/models`, { headers });
+  } catch (error) {
+    throw new ProviderError(`Could not reach ${baseUrl}. Check the base URL and your connection.`, ERROR_CATEGORIES.NETWORK);
+  }
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => null);
+    throw createHttpError(response, getChatCompletionErrorMessage(response, errorData, config));
+  }
+
+  const data = await response.json();
+  return (data.data || [])
+    // GROQ keeps retired models in the list, marked inactive
+    .filter(model => model.active !== false)
+    .map(model => ({
+      id: model.id,
+      contextLength: model.context_length || model.context_window || null,
+      free: model.pricing ? Number(model.pricing.prompt) === 0 && Number(model.pricing.completion) === 0 : null
+    }))
+    .sort((a, b) => a.id.localeCompare(b.id));
+}
+
+/**
+ * Builds a readable error message from a failed chat completions response
+ * @param {Response} response - Failed fetch response
+ * @param {Object|null} errorData - Parsed error body, if any
+ * @param {Object} config - Provider configuration
+ * @returns {string} - Error message
+ */
+function getChatCompletionErrorMessage(response, errorData, config) {
+  if (!errorData?.error) {
+    return `HTTP error! status: ${response.status}`;
+  }
+
+  let errorMessage = errorData.error.message || errorData.error;
+
+  // Handle specific error cases
+  if (errorMessage.includes('has been decommissioned')) {
+    const recommendation = errorMessage.split('refer to ')[1];
+    errorMessage = `Model ${config.selectedModel} is no longer available. Please check ${recommendation}`;
+  } else if (response.status === 404) {
+    errorMessage += '. Please verify the model name in the extension settings.';
+  }
+
+  if (response.status === 401) {
+    errorMessage += '. Please check your API key in the extension settings.';
+  }
+
+  return errorMessage;
+}
+
+/**
+ * Collects an OpenAI-style chat completions stream
+ * @param {Response} response - Streaming chat completions response
+ * @param {Function} onChunk - Called with each content delta
+ * @returns {Promise<string>} - The complete response text
+ */
+async function readChatCompletionStream(response, onChunk) {
+  let fullText = '';
+  let filtered = false;
+  await readEventStream(response, data => {
+    // Errors can also arrive mid-stream once the HTTP status has been sent
+    if (data.error) {
+      throw createStreamError(data.error.message || data.error, data.error.code);
+    }
+    if (data.choices?.[0]?.finish_reason === 'content_filter') {
+      filtered = true;
+    }
+    const chunk = data.choices?.[0]?.delta?.content;
+    if (chunk) {
+      fullText += chunk;
+      onChunk(chunk);
+    }
+  });
+
+  if (!fullText && filtered) {
+    throw new ProviderError("The provider's content filter blocked this response.", ERROR_CATEGORIES.BLOCKED);
+  }
+  return fullText;
+}
+
+// ===== RESPONSE CACHE =====
+
+// Cache reads and writes run one after another so concurrent requests don't overwrite each other
+let cacheQueue = Promise.resolve();
+
+// When cache hits were last used, by key; kept here until the cache is next written
+// so a hit doesn't rewrite the whole cache just to move it up the LRU order
+const cacheTouches = new Map();
+
+/**
+ * Runs a read-modify-write of the stored cache and statistics
+ * The statistics are always written, the cache only when update changed it
+ * @param {Function} update - Receives (cache, stats), may change both, and returns
+ *   { result, cacheChanged }
+ * @returns {Promise<*>} - The result update returned
+ */
+function updateCacheStorage(update) {
+  const run = cacheQueue.then(async () => {
+    const stored = await chrome.storage.local.get([CACHE_STORAGE_KEY, CACHE_STATS_KEY]);
+    const cache = stored[CACHE_STORAGE_KEY] || {};
+    const stats = stored[CACHE_STATS_KEY] || { hits: 0, misses: 0 };
+    cacheTouches.forEach((lastUsed, key) => {
+      if (cache[key]) cache[key].lastUsed = lastUsed;
+    });
+
+    const { result, cacheChanged } = update(cache, stats);
+    if (cacheChanged) {
+      await chrome.storage.local.set({ [CACHE_STORAGE_KEY]: cache, [CACHE_STATS_KEY]: stats });
+      cacheTouches.clear();
+    } else {
+      await chrome.storage.local.set({ [CACHE_STATS_KEY]: stats });
+    }
+    return result;
+  });
+  cacheQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Builds the cache key for a request
+ * Changing the model, endpoint, generation settings or system prompt gives a new key
+ * @param {Array<{role: string, content: string}>} messages - Conversation sent to the provider
+ * @param {string} providerId - Active provider ID
+ * @param {Object} config - Provider configuration
+ * @returns {Promise<string>} - SHA-256 hex digest of the request
+ */
+async function getCacheKey(messages, providerId, config) {
+  const request = JSON.stringify({
+    messages,
+    provider: providerId,
+    model: config.selectedModel,
+    endpoint: config.baseUrl || config.host || null,
+    settings: getGenerationSettings(config)
+  });
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(request));
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Looks up a cached response and records the hit or miss
+ * @param {string} key - Cache key from getCacheKey
+ * @returns {Promise<string|null>} - Cached response text, or null
+ */
+function getCachedResponse(key) {
+  return updateCacheStorage((cache, stats) => {
+    const entry = cache[key];
+    if (entry && Date.now() - entry.timestamp < CACHE_EXPIRY) {
+      cacheTouches.set(key, Date.now());
+      stats.hits++;
+      return { result: entry.data, cacheChanged: false };
+    }
+
+    // Only an expired entry has to be written away
+    delete cache[key];
+    stats.misses++;
+    return { result: null, cacheChanged: Boolean(entry) };
+  });
+}
+
+/**
+ * Stores a response, dropping expired entries and the least recently used ones over the cap
+ * @param {string} key - Cache key from getCacheKey
+ * @param {string} data - Response text
+ * @returns {Promise<void>}
+ */
+function cacheResponse(key, data) {
+  return updateCacheStorage(cache => {
+    const now = Date.now();
+    cache[key] = { data, timestamp: now, lastUsed: now };
+
+    Object.keys(cache).forEach(entryKey => {
+      if (now - cache[entryKey].timestamp >= CACHE_EXPIRY) delete cache[entryKey];
+    });
+
+    const keys = Object.keys(cache);
+    if (keys.length > MAX_CACHE_ENTRIES) {
+      keys
+        .sort((a, b) => cache[a].lastUsed - cache[b].lastUsed)
+        .slice(0, keys.length - MAX_CACHE_ENTRIES)
+        .forEach(entryKey => delete cache[entryKey]);
+    }
+    return { result: undefined, cacheChanged: true };
+  });
+}
+
+/**
+ * Summarizes the cache for the setup page
+ * @returns {Promise<{entries: number, bytes: number, hits: number, misses: number}>}
+ */
+async function getCacheStats() {
+  await cacheQueue;
+  const stored = await chrome.storage.local.get([CACHE_STORAGE_KEY, CACHE_STATS_KEY]);
+  const stats = stored[CACHE_STATS_KEY] || { hits: 0, misses: 0 };
+  return {
+    entries: Object.keys(stored[CACHE_STORAGE_KEY] || {}).length,
+    bytes: await chrome.storage.local.getBytesInUse(CACHE_STORAGE_KEY),
+    hits: stats.hits,
+    misses: stats.misses
+  };
+}
+
+/**
+ * Removes all cached responses and resets the statistics
+ * @returns {Promise<void>}
+ */
+function clearCache() {
+  const run = cacheQueue.then(() => {
+    cacheTouches.clear();
+    return chrome.storage.local.remove([CACHE_STORAGE_KEY, CACHE_STATS_KEY]);
+  });
+  cacheQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Gets the display name of a provider
+ * @param {string} providerId - Provider ID
+ * @param {Object} config - Provider configuration
+ * @returns {string} - Name shown to the user
+ */
+function getProviderName(providerId, config) {
+  return config.name || PROVIDER_NAMES[providerId] || providerId;
+}
+
+// ===== HISTORY =====
+
+// History writes run one after another so concurrent answers are all kept
+let historyQueue = Promise.resolve();
+
+/**
+ * Saves an answered query to the history
+ * A conversation keeps one entry: each follow-up replaces it and moves it to the top.
+ * Failures are logged only; they must not affect the answer shown to the user
+ * @param {Array<{role: string, content: string}>} messages - Conversation that was sent
+ * @param {string} response - Answer text
+ * @param {string} providerId - Provider that answered
+ * @param {Object} config - Provider configuration
+ * @param {Object} [context] - Where the query came from
+ * @param {string} [context.selection] - Text selected on the page
+ * @param {string} [context.action] - Prompt action title, if one was used
+ * @param {string} [context.pageUrl] - URL of the page
+ * @param {string} [context.pageTitle] - Title of the page
+ * @param {string} [context.historyId] - ID of the conversation's entry
+ * @param {string} [context.pageQuestion] - For whole-page conversations, the question (or
+ *   summary request) saved in place of the first message, which holds the page text
+ * @returns {Promise<void>}
+ */
+function saveHistoryEntry(messages, response, providerId, config, context = {}) {
+  if (context.pageQuestion) {
+    messages = [{ role: 'user', content: context.pageQuestion }, ...messages.slice(1)];
+  }
+  const question = [...messages].reverse().find(message => message.role === 'user');
+  const entry = {
+    id: context.historyId || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    timestamp: Date.now(),
+    selection: context.selection || '',
+    action: context.action || null,
+    question: question ? question.content : '',
+    provider: providerId,
+    providerName: getProviderName(providerId, config),
+    model: config.selectedModel,
+    pageUrl: context.pageUrl || '',
+    pageTitle: context.pageTitle || '',
+    // Image data is left out; the history only keeps that there was one
+    messages: [...messages, { role: 'assistant', content: response }].map(message => ({
+      role: message.role,
+      content: message.images ? `[Image] ${message.content}` : message.content
+    })),
+    response
+  };
+
+  const run = historyQueue.then(async () => {
+    const { [HISTORY_STORAGE_KEY]: history = [] } = await chrome.storage.local.get([HISTORY_STORAGE_KEY]);
+    const remaining = history.filter(item => item.id !== entry.id);
+    remaining.unshift(entry);
+    await chrome.storage.local.set({ [HISTORY_STORAGE_KEY]: remaining.slice(0, MAX_HISTORY_ENTRIES) });
+  });
+  historyQueue = run.catch(error => console.warn('Could not save history entry:', error));
+  return historyQueue;
+}
+
+/**
+ * Removes one entry from the history
+ * Runs in the history queue so a save in progress can't write the entry back
+ * @param {string} id - Entry ID
+ * @returns {Promise<void>}
+ */
+function deleteHistoryEntry(id) {
+  const run = historyQueue.then(async () => {
+    const { [HISTORY_STORAGE_KEY]: history = [] } = await chrome.storage.local.get([HISTORY_STORAGE_KEY]);
+    await chrome.storage.local.set({ [HISTORY_STORAGE_KEY]: history.filter(entry => entry.id !== id) });
+  });
+  historyQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Removes the whole history, after any saves in progress
+ * @returns {Promise<void>}
+ */
+function clearHistory() {
+  const run = historyQueue.then(() => chrome.storage.local.remove(HISTORY_STORAGE_KEY));
+  historyQueue = run.catch(() => {});
+  return run;
+}
+
+// ===== AI REQUESTS =====
+
+/**
+ * Fetches an AI response for a conversation and sends it to the tab
+ * Several requests can run at once; every message to the tab carries the request ID.
+ * If the active provider fails with anything but an auth error, the providers in
+ * the user's fallback chain are tried in order
+ * @param {Array<{role: string, content: string}>} messages - Conversation so far; built from
+ *   options.page instead for whole-page requests
+ * @param {number} tabId - Tab that shows the response
+ * @param {string} requestId - ID the content script uses to route the answer to its panel tab
+ * @param {Object} [options]
+ * @param {boolean} [options.bypassCache=false] - Skip the cache lookup (regenerate); the new answer is still cached
+ * @param {Object} [options.context] - Selection, action and page saved with the history entry
+ * @param {Object} [options.page] - For whole-page requests, { title, url, sections, question }
+ */
+async function fetchAIResponse(messages, tabId, requestId, options = {}) {
+  const controller = new AbortController();
+  activeRequests.set(requestId, { controller, tabId });
+
+  try {
+    // Get current configuration from storage
+    const { apiConfig, activeProvider, fallbackProviders } =
+      await chrome.storage.local.get(['apiConfig', 'activeProvider', 'fallbackProviders']);
+    
+    // Validate configuration exists
+    if (!apiConfig || !activeProvider || !apiConfig[activeProvider]) {
+      throw new ProviderError("AI provider not configured. Please set up the extension first.", ERROR_CATEGORIES.CONFIG);
+    }
+
+    // The active provider first, then the configured ones from the fallback chain
+    const providerIds = [
+      activeProvider,
+      ...(fallbackProviders || []).filter(id => id !== activeProvider && apiConfig[id])
+    ];
+
+    if (options.page) {
+      messages = await preparePageMessages(options.page, providerIds, apiConfig, tabId, requestId, controller.signal);
+    }
+
+    const { responseText, providerId } = await requestWithFallback(providerIds, apiConfig, messages, tabId, requestId, {
+      bypassCache: options.bypassCache,
+      signal: controller.signal
+    });
+    const config = apiConfig[providerId];
+
+    // Send response to content script for display
+    sendResponseToContent({
+      requestId,
+      response: responseText,
+      provider: getProviderName(providerId, config),
+      model: config.selectedModel,
+      fallbackFrom: providerId !== activeProvider ? getProviderName(activeProvider, apiConfig[activeProvider]) : null,
+      // Follow-up questions about a page build on the prompt that carried it
+      prompt: options.page ? messages[messages.length - 1].content : undefined
+    }, tabId);
+    saveHistoryEntry(messages, responseText, providerId, config, options.context);
+
+  } catch (error) {
+    reportRequestError(error, tabId, requestId, controller.signal);
+  } finally {
+    activeRequests.delete(requestId);
+  }
+}
+
+/**
+ * Gets an answer from the first provider that gives one, in fallback chain order
+ * A bad key for the active provider is for the user to fix, so it is thrown right away
+ * @param {Array<string>} providerIds - Active provider, then the configured fallbacks
+ * @param {Object} apiConfig - Saved provider configurations
+ * @param {Array<Object>} messages - Conversation to send
+ * @param {number} tabId - Tab that shows the response
+ * @param {string} requestId - Request the answer belongs to
+ * @param {Object} options - bypassCache, signal and stream, as for requestFromProvider
+ * @returns {Promise<Object>} - { responseText, providerId } of the provider that answered
+ */
+async function requestWithFallback(providerIds, apiConfig, messages, tabId, requestId, options) {
+  let firstError = null;
+  for (const [index, providerId] of providerIds.entries()) {
+    try {
+      const responseText = await requestFromProvider(providerId, apiConfig[providerId], messages, tabId, requestId, options);
+      return { responseText, providerId };
+    } catch (error) {
+      if (options.signal.aborted || (index === 0 && error.category === ERROR_CATEGORIES.AUTH)) {
+        throw error;
+      }
+      firstError = firstError || error;
+      if (index < providerIds.length - 1) {
+        console.warn(`${providerId} failed (${error.message}), falling back to ${providerIds[index + 1]}`);
+        // Clear any partial text the failed provider streamed
+        if (options.stream !== false) {
+          chrome.tabs.sendMessage(tabId, { action: "streamReset", requestId })
+            .catch(error => console.warn('Could not reset the stream:', error.message));
+        }
+      }
+    }
+  }
+
+  // Every provider failed; the active provider's error is the one worth showing
+  throw firstError;
+}
+
+// ===== IMAGES =====
+
+/**
+ * Asks for access to an image's site so the service worker can download it
+ * Chrome only shows the prompt during a user gesture, so this has to be called
+ * from the context menu click before anything is awaited
+ * @param {string} url - Image URL
+ * @param {string} [pageUrl] - URL of the page, whose origin activeTab already covers
+ * @returns {Promise<boolean>} - Whether the image's site can be accessed
+ */
+function requestImageAccess(url, pageUrl) {
+  let origin;
+  try {
+    origin = new URL(url).origin;
+  } catch (error) {
+    return Promise.resolve(false);
+  }
+
+  // data: URLs need no access, and the page's own origin is covered by activeTab
+  if (!/^https?:/i.test(url) || (pageUrl && new URL(pageUrl).origin === origin)) {
+    return Promise.resolve(true);
+  }
+  return chrome.permissions.request({ origins: [`${origin}/*`] }).catch(() => false);
+}
+
+/**
+ * Loads an image and encodes it for a multimodal request
+ * The service worker downloads it when it may; otherwise the page reads it,
+ * which works for images served with CORS headers
+ * @param {string} url - Image URL, including data: URLs
+ * @param {number} tabId - Tab the image was clicked in
+ * @param {Promise<boolean>} accessGranted - Result of requestImageAccess
+ * @returns {Promise<Object>} - { mimeType, data } with base64 data
+ * @throws {Error} - With a message for the panel if the image can't be used
+ */
+async function fetchImage(url, tabId, accessGranted) {
+  let response = null;
+  if (await accessGranted) {
+    try {
+      response = await fetch(url);
+    } catch (error) {
+      console.warn('Could not download the image, asking the page:', error);
+    }
+  }
+
+  if (!response) {
+    const fromPage = await chrome.tabs.sendMessage(tabId, { action: "readImage", url: url }, { frameId: 0 })
+      .catch(() => null);
+    if (!fromPage || !fromPage.image) {
+      const host = /^https?:/i.test(url) ? new URL(url).hostname : 'its site';
+      throw new Error(`The image could not be downloaded. Allow access to ${host} when Chrome asks, ` +
+        'or open the image in its own tab and try again there.');
+    }
+    // base64 takes 4 characters for every 3 bytes
+    checkImage(fromPage.image.mimeType, Math.floor(fromPage.image.data.length * 3 / 4));
+    return fromPage.image;
+  }
+
+  if (!response.ok) {
+    throw new Error(`The image could not be downloaded (HTTP ${response.status}).`);
+  }
+
+  const blob = await response.blob();
+  const mimeType = blob.type.split(';')[0];
+  checkImage(mimeType, blob.size);
+
+  // Encode in slices; spreading a large array into fromCharCode overflows the stack
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  let binary = '';
+  for (let start = 0; start < bytes.length; start += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(start, start + 0x8000));
+  }
+  return { mimeType, data: btoa(binary) };
+}
+
+/**
+ * Checks that an image can be sent to a provider
+ * @param {string} mimeType - Image type
+ * @param {number} size - Size in bytes
+ * @throws {Error} - With a message for the panel if the type or size isn't supported
+ */
+function checkImage(mimeType, size) {
+  if (!SUPPORTED_IMAGE_TYPES.includes(mimeType)) {
+    throw new Error(`Only PNG, JPEG, WebP and GIF images can be sent${mimeType ? ` (this one is ${mimeType})` : ''}.`);
+  }
+  if (size > MAX_IMAGE_BYTES) {
+    throw new Error(`The image is too large to send (${(size / 1024 / 1024).toFixed(1)} MB, limit ${MAX_IMAGE_BYTES / 1024 / 1024} MB).`);
+  }
+}
+
+/**
+ * Gets a short name for an image, used as its tab label and in the history
+ * @param {string} url - Image URL
+ * @returns {string} - File name from the URL, or "Image"
+ */
+function getImageLabel(url) {
+  try {
+    const { protocol, pathname } = new URL(url);
+    const name = protocol === 'data:' ? '' : decodeURIComponent(pathname.split('/').pop());
+    return name ? `Image: ${name}` : 'Image';
+  } catch (error) {
+    return 'Image';
+  }
+}
+
+// ===== WHOLE-PAGE REQUESTS =====
+
+/**
+ * Gets how many characters of page text one request can carry for a provider
+ * @param {string} providerId - Provider ID as stored in apiConfig
+ * @param {Object} config - That provider's configuration
+ * @returns {number} - Characters per part
+ */
+function getPageChunkSize(providerId, config) {
+  const adapter = getProviderAdapter(providerId);
+  const contextLength = config.contextLength || (adapter && adapter.defaultContextLength) || DEFAULT_CONTEXT_LENGTH;
+  const tokens = contextLength - getGenerationSettings(config).maxTokens - PAGE_PROMPT_TOKENS;
+  return Math.min(MAX_PAGE_CHUNK_CHARS, Math.max(MIN_PAGE_CHUNK_CHARS, tokens * CHARS_PER_TOKEN));
+}
+
+/**
+ * Splits a page's sections into parts of at most maxChars characters
+ * Every section starts with a [§n Heading] marker the answer can refer to; a section
+ * split over two parts repeats its marker. Parts break between paragraphs where possible
+ * @param {Array<{heading: string, text: string}>} sections - Readable text of the page
+ * @param {number} maxChars - Most characters per part
+ * @returns {Array<string>} - Parts in page order
+ */
+function splitPageIntoChunks(sections, maxChars) {
+  const chunks = [];
+  let chunk = '';
+
+  sections.forEach((section, index) => {
+    const marker = `[§${index + 1}${section.heading ? ` ${section.heading}` : ''}]`;
+    // Leaves room for the marker in front of a piece that starts a new part
+    const pieceLength = maxChars - marker.length - 20;
+    let started = false;
+
+    section.text.split(/\n+/).forEach(paragraph => {
+      for (let start = 0; start < paragraph.length; start += pieceLength) {
+        const piece = paragraph.slice(start, start + pieceLength).trim();
+        if (!piece) continue;
+
+        let text = started ? piece : `${marker}\n${piece}`;
+        if (chunk && chunk.length + text.length + 2 > maxChars) {
+          chunks.push(chunk);
+          chunk = '';
+          if (started) text = `${marker} (continued)\n${piece}`;
+        }
+        chunk += (chunk ? '\n\n' : '') + text;
+        started = true;
+      }
+    });
+  });
+
+  if (chunk) chunks.push(chunk);
+  return chunks;
+}
+
+/**
+ * Builds a prompt about page text
+ * @param {string} instruction - What to do with the text
+ * @param {Object} page - { title, url, question }
+ * @param {string} body - Page text or notes on its parts
+ * @returns {string} - Prompt
+ */
+function buildPagePrompt(instruction, page, body) {
+  return [
+    instruction,
+    page.question ? `Question: ${page.question}` : null,
+    `Page title: ${page.title}\nURL: ${page.url}`,
+    body
+  ].filter(Boolean).join('\n\n');
+}
+
+/**
+ * Builds the messages for a whole-page request
+ * A page that fits in one request is sent as is. Longer pages are read part by part,
+ * without streaming, and the final prompt combines the notes on every part
+ * @param {Object} page - { title, url, sections, question } from the content script;
+ *   question is null for a summary
+ * @param {Array<string>} providerIds - Providers to try, as for requestWithFallback
+ * @param {Object} apiConfig - Saved provider configurations
+ * @param {number} tabId - Tab that shows the response
+ * @param {string} requestId - Request the answer belongs to
+ * @param {AbortSignal} signal - Cancels the request
+ * @returns {Promise<Array<Object>>} - Messages for the final request
+ */
+async function preparePageMessages(page, providerIds, apiConfig, tabId, requestId, signal) {
+  const references = 'Sections are marked like [§2 Heading]; refer to the sections you use like (§2 Heading).';
+  const chunkSize = Math.min(...providerIds.map(id => getPageChunkSize(id, apiConfig[id])));
+  const chunks = splitPageIntoChunks(page.sections || [], chunkSize);
+
+  if (chunks.length === 0) {
+    throw new ProviderError('No readable text was found on this page.', ERROR_CATEGORIES.UNKNOWN);
+  }
+
+  if (chunks.length === 1) {
+    const instruction = page.question ? 'Answer the question below using this web page.' : 'Summarize this web page.';
+    return [{ role: 'user', content: buildPagePrompt(`${instruction} ${references}`, page, chunks[0]) }];
+  }
+
+  const parts = chunks.slice(0, MAX_PAGE_CHUNKS);
+  const notes = [];
+  for (const [index, chunk] of parts.entries()) {
+    chrome.tabs.sendMessage(tabId, { action: "pageProgress", requestId, part: index + 1, parts: parts.length })
+      .catch(error => console.warn('Could not report page progress:', error.message));
+
+    const instruction = `This is part ${index + 1} of ${parts.length} of a web page. ` + (page.question
+      ? 'In at most 200 words, note what in it helps answer the question below, keeping the section marker of each note. If nothing does, reply "Nothing relevant."'
+      : 'Summarize it in at most 200 words, keeping the section marker of each point.');
+    const { responseText } = await requestWithFallback(providerIds, apiConfig,
+      [{ role: 'user', content: buildPagePrompt(instruction, page, chunk) }],
+      tabId, requestId, { signal, stream: false });
+    notes.push(`Notes on part ${index + 1}:\n${responseText}`);
+  }
+
+  const instruction = (page.question
+    ? 'Answer the question below using these notes on the parts of a web page.'
+    : 'Combine these notes on the parts of a web page into one summary of the whole page.') +
+    ` ${references}` +
+    (chunks.length > parts.length ? ` Only the first ${parts.length} of ${chunks.length} parts of the page were read.` : '');
+  return [{ role: 'user', content: buildPagePrompt(instruction, page, notes.join('\n\n')) }];
+}
+
+/**
+ * Sends a failed request's error to the panel, unless the request was cancelled
+ * @param {Error} error - Error thrown while answering
+ * @param {number} tabId - Tab that shows the response
+ * @param {string} requestId - Request that failed
+ * @param {AbortSignal} signal - The request's signal
+ */
+function reportRequestError(error, tabId, requestId, signal) {
+  // The panel already shows the cancelled state, or is gone
+  if (signal.aborted) {
+    console.log('Request cancelled:', requestId);
+    return;
+  }
+  console.error("Error fetching from AI provider:", error);
+  sendResponseToContent({
+    requestId,
+    response: error.message,
+    isError: true,
+    errorCategory: error.category || ERROR_CATEGORIES.UNKNOWN,
+    retryAfter: error.retryAfter
+  }, tabId);
+}
+
+/**
+ * Sends one prompt to several provider/model pairs at once for the panel's comparison view
+ * Each column streams and finishes under its own request ID. Answers skip the cache
+ * lookup so latencies are real, and nothing goes to the history until the user picks one
+ * @param {Array<Object>} messages - Conversation to send
+ * @param {number} tabId - Tab that shows the comparison
+ * @param {Array<Object>} columns - { requestId, providerId, model } per column
+ * @param {Object} apiConfig - Saved provider configurations
+ * @returns {Promise<void>} - Resolves when every column has finished
+ */
+function compareAIResponses(messages, tabId, columns, apiConfig) {
+  return Promise.all(columns.map(async column => {
+    const controller = new AbortController();
+    activeRequests.set(column.requestId, { controller, tabId });
+    const config = { ...apiConfig[column.providerId], selectedModel: column.model };
+    const startedAt = Date.now();
+
+    try {
+      const responseText = await requestFromProvider(column.providerId, config, messages, tabId, column.requestId, {
+        bypassCache: true,
+        signal: controller.signal
+      });
+      sendResponseToContent({
+        requestId: column.requestId,
+        response: responseText,
+        provider: getProviderName(column.providerId, config),
+        model: column.model,
+        latency: Date.now() - startedAt
+      }, tabId);
+    } catch (error) {
+      reportRequestError(error, tabId, column.requestId, controller.signal);
+    } finally {
+      activeRequests.delete(column.requestId);
+    }
+  }));
+}
+
+/**
+ * Gets an answer from one provider: from the cache if possible, otherwise with retries
+ * Chunks are streamed to the tab as they arrive
+ * @param {string} providerId - Provider ID as stored in apiConfig
+ * @param {Object} config - That provider's configuration
+ * @param {Array<Object>} messages - Conversation so far
+ * @param {number} tabId - Tab that shows the response
+ * @param {string} requestId - Request the chunks belong to
+ * @param {Object} options
+ * @param {boolean} [options.bypassCache] - Skip the cache lookup
+ * @param {AbortSignal} options.signal - Cancels the request
+ * @param {boolean} [options.stream=true] - Stream chunks to the tab; off for intermediate requests
+ * @returns {Promise<string>} - The complete response text
+ */
+async function requestFromProvider(providerId, config, messages, tabId, requestId, options) {
+  // Validate required config values
+  if (!config.selectedModel) {
+    throw new ProviderError("No model selected. Please configure a model in the extension settings.", ERROR_CATEGORIES.CONFIG);
+  }
+
+  const provider = getProviderAdapter(providerId);
+  if (!provider) {
+    throw new ProviderError(`Unknown AI provider "${providerId}". Please select a provider in the extension settings.`, ERROR_CATEGORIES.CONFIG);
+  }
+
+  if (provider.requiresApiKey !== false && !config.apiKey) {
+    throw new ProviderError("API key not found. Please set up your API key in the extension settings.", ERROR_CATEGORIES.AUTH);
+  }
+
+  // Check response cache first to avoid unnecessary API calls
+  const cacheKey = await getCacheKey(messages, providerId, config);
+  const cachedResponse = options.bypassCache ? null : await getCachedResponse(cacheKey);
+  if (cachedResponse !== null) {
+    console.log('Cache hit, returning cached response');
+    return cachedResponse;
+  }
+
+  console.log(`Making API request to ${providerId} using model ${config.selectedModel}`);
+  
+  // Make API request with retry mechanism, streaming chunks to the page as they arrive
+  const stream = options.stream !== false;
+  let attempt = 0;
+  const responseText = await retryWithBackoff(
+    () => {
+      // A failed attempt may have streamed partial text; put the answer back into loading state
+      if (attempt++ > 0 && stream) {
+        chrome.tabs.sendMessage(tabId, { action: "streamReset", requestId })
+          .catch(error => console.warn('Could not reset the stream:', error.message));
+      }
+      return provider.fetchResponse(
+        messages,
+        config,
+        stream ? chunk => sendChunkToContent(chunk, tabId, requestId) : () => {},
+        options.signal
+      );
+    },
+    MAX_RETRIES,
+    INITIAL_RETRY_DELAY,
+    options.signal
+  );
+
+  // Cache successful response for future requests
+  await cacheResponse(cacheKey, responseText);
+  return responseText;
+}
+
+/**
+ * Aborts an in-flight request, including any pending retry
+ * @param {string} requestId - Request to cancel
+ * @param {number} tabId - Tab asking to cancel; only its own requests can be cancelled
+ */
+function cancelRequest(requestId, tabId) {
+  const request = activeRequests.get(requestId);
+  if (request && request.tabId === tabId) {
+    request.controller.abort();
+  }
+}
+
+// ===== EVENT LISTENERS =====
+
+/**
+ * Handle context menu clicks and start the AI query process
+ * The ask-selection shortcut comes through here as well, with the selection it read
+ * @param {Object} info - Context menu click info: menuItemId, selectionText, srcUrl
+ * @param {Object} tab - Tab the menu was opened in
+ */
+async function handleContextMenuClick(info, tab) {
+  console.log('Context menu clicked:', info.menuItemId);
+
+  // The panel reads the page and sends it back with askAboutPage
+  if (info.menuItemId === "summarizePage" || info.menuItemId === "askPage") {
+    chrome.tabs.sendMessage(tab.id, {
+      action: "startPageTask",
+      task: info.menuItemId === "summarizePage" ? 'summarize' : 'ask'
+    }, { frameId: 0 }).catch(error => console.warn('Could not reach the panel:', error.message));
+    return;
+  }
+
+  // The image is downloaded here, where host permissions apply, and kept by the panel
+  // until the user asks about it
+  if (info.menuItemId === "askImage" && info.srcUrl) {
+    // Still within the click's user gesture, so Chrome can ask for the image's site
+    const accessGranted = requestImageAccess(info.srcUrl, info.pageUrl);
+    const message = { action: "startImageTask", imageUrl: info.srcUrl, label: getImageLabel(info.srcUrl) };
+    try {
+      message.image = await fetchImage(info.srcUrl, tab.id, accessGranted);
+    } catch (error) {
+      console.warn('Could not load the image:', error);
+      message.error = error.message;
+    }
+    chrome.tabs.sendMessage(tab.id, message, { frameId: 0 })
+      .catch(error => console.warn('Could not reach the panel:', error.message));
+    return;
+  }
+
+  if (!info.selectionText) return;
+
+  let prompt = info.selectionText;
+  let actionTitle = null;
+  const compare = info.menuItemId === "compare" || info.menuItemId.startsWith('compare:');
+
+  if (info.menuItemId.startsWith('action:') || info.menuItemId.startsWith('compare:')) {
+    const actionId = info.menuItemId.slice(info.menuItemId.indexOf(':') + 1);
+    const { promptActions = [] } = await chrome.storage.local.get(['promptActions']);
+    const promptAction = promptActions.find(item => item.id === actionId);
+    if (!promptAction) {
+      console.warn('Prompt action no longer exists:', actionId);
+      return;
+    }
+    prompt = applyPromptTemplate(promptAction.template, info.selectionText);
+    actionTitle = promptAction.title;
+  } else if (!["askAI", "askPlain", "compare"].includes(info.menuItemId)) {
+    return;
+  }
+
+  console.log('Selected text:', info.selectionText.substring(0, 50) + '...');
+
+  const { prompt: fullPrompt, pageContext } = await addPageContext(prompt, info, tab);
+
+  // Every ask gets its own ID so its answer opens in a new panel tab
+  const requestId = crypto.randomUUID();
+  const messages = [{ role: 'user', content: fullPrompt }];
+
+  if (compare) {
+    // Each compared model answers under its own request ID, shown as a column in the tab
+    const { apiConfig = {}, compareTargets = [] } = await chrome.storage.local.get(['apiConfig', 'compareTargets']);
+    const columns = compareTargets
+      .filter(target => apiConfig[target.provider])
+      .map(target => ({
+        requestId: crypto.randomUUID(),
+        providerId: target.provider,
+        provider: getProviderName(target.provider, apiConfig[target.provider]),
+        model: target.model
+      }));
+
+    chrome.tabs.sendMessage(tab.id, {
+      action: "processSelection",
+      requestId: requestId,
+      text: fullPrompt,
+      actionTitle: actionTitle ? `Compare: ${actionTitle}` : 'Compare',
+      selection: info.selectionText,
+      comparison: columns,
+      pageContext: pageContext
+    }).catch(error => console.warn('Could not reach the panel:', error.message));
+    compareAIResponses(messages, tab.id, columns, apiConfig);
+    return;
+  }
+  
+  // Notify content script to show loading state
+  chrome.tabs.sendMessage(tab.id, {
+    action: "processSelection",
+    requestId: requestId,
+    text: fullPrompt,
+    actionTitle: actionTitle,
+    selection: info.selectionText,
+    pageContext: pageContext
+  }).catch(error => console.warn('Could not reach the panel:', error.message));
+  
+  // Process the prompt with the active AI provider
+  fetchAIResponse(messages, tab.id, requestId, {
+    context: {
+      selection: info.selectionText,
+      action: actionTitle,
+      pageUrl: tab.url,
+      pageTitle: tab.title,
+      // The panel keeps using the first request's ID for the conversation's history entry
+      historyId: requestId
+    }
+  });
+}
+
+chrome.contextMenus.onClicked.addListener(handleContextMenuClick);
+
+/**
+ * Show a short notice in a tab's panel; pages without the content script are skipped
+ * @param {number} tabId - Tab to notify
+ * @param {string} text - Notice text
+ */
+function notifyTab(tabId, text) {
+  chrome.tabs.sendMessage(tabId, { action: "showNotice", text }, { frameId: 0 })
+    .catch(error => console.warn('Could not show notice:', error.message));
+}
+
+/**
+ * Makes the next configured provider the active one, in the order they were set up
+ * @returns {Promise<string|null>} - The new active provider ID, or null with fewer than two configured
+ */
+async function cycleActiveProvider() {
+  const { apiConfig = {}, activeProvider } = await chrome.storage.local.get(['apiConfig', 'activeProvider']);
+  const providerIds = Object.keys(apiConfig);
+  if (providerIds.length < 2) return null;
+
+  const next = providerIds[(providerIds.indexOf(activeProvider) + 1) % providerIds.length];
+  await chrome.storage.local.set({ activeProvider: next });
+  return next;
+}
+
+/**
+ * Handle the keyboard shortcuts declared in manifest.json; users change the keys
+ * at chrome://extensions/shortcuts
+ * ask-selection runs the first prompt action (the top of the menu) on the selection,
+ * or sends the raw selection when there are no actions
+ */
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  console.log('Command:', command);
+  if (!tab || tab.id === undefined) return;
+
+  if (command === "ask-selection") {
+    let selectionText = '';
+    try {
+      ({ text: selectionText } = await chrome.tabs.sendMessage(tab.id, { action: "getSelectionText" }, { frameId: 0 }));
+    } catch (error) {
+      console.warn('Could not read the selection:', error.message);
+      return;
+    }
+    if (!selectionText || !selectionText.trim()) {
+      notifyTab(tab.id, 'Select some text first');
+      return;
+    }
+
+    const { promptActions = [] } = await chrome.storage.local.get(['promptActions']);
+    const menuItemId = promptActions.length ? `action:${promptActions[0].id}` : "askAI";
+    handleContextMenuClick({ menuItemId, selectionText }, tab);
+  } else if (command === "reopen-panel" || command === "toggle-minimize") {
+    chrome.tabs.sendMessage(tab.id, { action: command === "reopen-panel" ? "reopenPanel" : "toggleMinimize" }, { frameId: 0 })
+      .catch(error => console.warn('Could not reach the panel:', error.message));
+  } else if (command === "cycle-provider") {
+    const providerId = await cycleActiveProvider();
+    if (!providerId) {
+      notifyTab(tab.id, 'Set up another provider to switch between them');
+      return;
+    }
+    const { apiConfig } = await chrome.storage.local.get(['apiConfig']);
+    const config = apiConfig[providerId];
+    notifyTab(tab.id, `Now using ${getProviderName(providerId, config)} · ${config.selectedModel || 'no model'}`);
+  }
+});
+
+/**
+ * Handle follow-up questions asked from the response panel
+ * The content script sends the tab's full conversation history and a new request ID each time;
+ * bypassCache is set when the user asks to regenerate the last answer, and
+ * context carries the panel's original selection and action for the history
+ */
+chrome.runtime.onMessage.addListener((message, sender) => {
+  if (message.action === "askFollowUp" && sender.tab && Array.isArray(message.messages) && message.requestId) {
+    console.log(`Follow-up question with ${message.messages.length} messages of history`);
+    const context = message.context || {};
+    fetchAIResponse(message.messages, sender.tab.id, message.requestId, {
+      bypassCache: message.bypassCache === true,
+      context: {
+        selection: context.selection,
+        action: context.action,
+        pageUrl: sender.tab.url || sender.url,
+        pageTitle: sender.tab.title,
+        historyId: context.historyId,
+        pageQuestion: context.pageQuestion
+      }
+    });
+  }
+});
+
+/**
+ * Answer a whole-page request from the panel: a summary, or the first question about the page
+ * The content script sends the page's readable text as sections; its question is null for a summary
+ */
+chrome.runtime.onMessage.addListener((message, sender) => {
+  if (message.action === "askAboutPage" && sender.tab && message.page && message.requestId) {
+    const context = message.context || {};
+    fetchAIResponse([], sender.tab.id, message.requestId, {
+      bypassCache: message.bypassCache === true,
+      page: message.page,
+      context: {
+        selection: context.selection,
+        action: context.action,
+        pageUrl: sender.tab.url || sender.url,
+        pageTitle: sender.tab.title,
+        historyId: context.historyId,
+        pageQuestion: context.pageQuestion
+      }
+    });
+  }
+});
+
+/**
+ * Save the answer the user picked in a comparison to the history
+ * The panel sends the prompt, the picked answer and the provider/model that wrote it
+ */
+chrome.runtime.onMessage.addListener((message, sender) => {
+  if (message.action === "saveComparisonAnswer" && sender.tab && Array.isArray(message.messages)) {
+    chrome.storage.local.get(['apiConfig'], function(data) {
+      const config = { ...data.apiConfig?.[message.providerId], selectedModel: message.model };
+      const context = message.context || {};
+      saveHistoryEntry(message.messages, message.response, message.providerId, config, {
+        selection: context.selection,
+        action: context.action,
+        pageUrl: sender.tab.url || sender.url,
+        pageTitle: sender.tab.title,
+        historyId: context.historyId
+      });
+    });
+  }
+});
+
+/**
+ * Open the setup page from an error card; content scripts can't open extension pages themselves
+ */
+chrome.runtime.onMessage.addListener((message, sender) => {
+  if (message.action === "openSettings" && sender.tab) {
+    chrome.tabs.create({ url: "setup.html", index: sender.tab.index + 1 });
+  }
+});
+
+/**
+ * Cancel a request when the panel's Stop button is used, its tab is closed or the page unloads
+ */
+chrome.runtime.onMessage.addListener((message, sender) => {
+  if (message.action === "cancelRequest" && sender.tab) {
+    cancelRequest(message.requestId, sender.tab.id);
+  }
+});
+
+/**
+ * Cancel everything still running for a tab that was closed
+ */
+chrome.tabs.onRemoved.addListener(tabId => {
+  activeRequests.forEach((request, requestId) => {
+    if (request.tabId === tabId) cancelRequest(requestId, tabId);
+  });
+});
+
+/**
+ * Report or clear the response cache for the setup page
+ * getCacheStats responds with { entries, bytes, hits, misses }; clearCache with { cleared: true }
+ */
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.action === "getCacheStats") {
+    getCacheStats()
+      .then(stats => sendResponse(stats))
+      .catch(error => sendResponse({ error: error.message }));
+    return true; // Keep the channel open for the async response
+  }
+
+  if (message.action === "clearCache") {
+    clearCache()
+      .then(() => sendResponse({ cleared: true }))
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
+});
+
+/**
+ * Delete one history entry, or all of them, for the history page
+ * Both go through the history queue; they respond with { deleted: true }
+ */
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.action === "deleteHistoryEntry" || message.action === "clearHistory") {
+    (message.action === "clearHistory" ? clearHistory() : deleteHistoryEntry(message.id))
+      .then(() => sendResponse({ deleted: true }))
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
   }
+});
+
+/**
+ * Send a tiny prompt with the setup page's unsaved configuration, without retries
+ * Responds with { reply, latency } on success or { error, category } on failure
+ */
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.action !== "testConnection") return;
+
+  const provider = getProviderAdapter(message.provider);
+  if (!provider) {
+    sendResponse({ error: `Unknown AI provider "${message.provider}"` });
+    return;
+  }
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), CONNECTION_TEST_TIMEOUT);
+  const startedAt = Date.now();
+
+  provider.fetchResponse([{ role: 'user', content: CONNECTION_TEST_PROMPT }], message.config || {}, () => {}, controller.signal)
+    .then(reply => sendResponse({ reply: reply.trim(), latency: Date.now() - startedAt }))
+    .catch(error => sendResponse({
+      error: controller.signal.aborted ? `No answer within ${CONNECTION_TEST_TIMEOUT / 1000} seconds` : error.message,
+      category: error.category
+    }))
+    .finally(() => clearTimeout(timer));
+  return true; // Keep the channel open for the async response
+});
+
+/**
+ * List the models a provider offers, for the setup page's model suggestions
+ * Responds with { models } on success or { error } on failure
+ */
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.action !== "listModels") return;
+
+  const provider = getProviderAdapter(message.provider);
+  if (!provider?.listModels) {
+    sendResponse({ error: `Model listing is not supported for ${message.provider}` });
+    return;
+  }
+
+  provider.listModels(message.config || {})
+    .then(models => sendResponse({ models }))
+    .catch(error => sendResponse({ error: error.message }));
+  return true; // Keep the channel open for the async response
 });
\ No newline at end of file
@@ -2,164 +2,907 @@
  * Chat With Cat Content Script
  * 
  * This script is injected into web pages and handles:
- * - Creating and styling the floating response UI
+ * - Creating and styling the floating response UI inside a closed shadow root
  * - Making the response container draggable
  * - Handling messages from the background script
- * - Rendering AI responses with formatting
+ * - Rendering AI responses as Markdown (markdown.js), incrementally while streaming
+ * - Passing everything rendered through the sanitizer (sanitize.js)
+ * - Several answers at once, one panel tab per conversation, routed by request ID
+ * - Stopping answers that are still loading, also when the panel closes or the page unloads
+ * - Error cards per kind of provider error, with a way to fix or retry
+ * - Comparing answers from several models side by side and picking the best one
+ * - Reading the page context around the selection, and showing what was sent
+ * - Reading a whole page's main text to summarize it or answer questions about it
+ * - Asking about an image, shown as a thumbnail above the answer
+ * - Keyboard shortcut actions: reading the selection, reopening the last answer
+ *   and minimizing the panel
+ * - Follow-up chat with the conversation kept per tab
+ * - Copying and downloading answers as Markdown, plain text, HTML or JSON
  * - Supporting light/dark mode themes
  */
 
 // Reference to the floating response container
 let responseContainer = null;
 
+// Element hosting the panel and its closed shadow root; the page and the panel
+// cannot style each other across this boundary
+let panelHost = null;
+let panelRoot = null;
+
+// Conversations open in the panel, one tab each, and the one being shown
+const conversations = [];
+let activeConversation = null;
+
+// Most tabs kept open; the oldest finished one is closed to make room
+const MAX_CONVERSATIONS = 6;
+
+// Header title when no prompt action was used
+const DEFAULT_PANEL_TITLE = 'AI Assistant';
+
+// Configured model, shown under the title until a conversation has an answer
+let configuredModelInfo = '';
+
+// Storage key of the answer history written by the background script
+const HISTORY_STORAGE_KEY = 'history';
+
+// Pixels the panel moves per arrow key press on its header, and with Shift held
+const PANEL_MOVE_STEP = 10;
+const PANEL_MOVE_STEP_LARGE = 50;
+
+// Elements the Tab key cycles through inside the panel
+const FOCUSABLE_SELECTOR = 'button:not([disabled]), textarea:not([disabled]), a[href], [tabindex]:not([tabindex="-1"])';
+
+// Where focus and the page selection were before the panel opened, restored when it closes
+let focusBeforePanel = null;
+
+// Storage keys of the panel's positions and sizes per site, and of its options
+const PANEL_LAYOUTS_STORAGE_KEY = 'panelLayouts';
+const PANEL_SETTINGS_STORAGE_KEY = 'panelSettings';
+
+// Default panel size and its distance from the bottom-right corner of the window
+const DEFAULT_PANEL_WIDTH = 400;
+const DEFAULT_PANEL_HEIGHT = 500;
+const DEFAULT_CONTENT_HEIGHT = 340;
+const PANEL_EDGE_MARGIN = 20;
+
+// Smallest size the panel can be resized to
+const MIN_PANEL_WIDTH = 280;
+const MIN_PANEL_HEIGHT = 160;
+
+// Pixels from a window edge within which a dragged panel docks to it
+const SNAP_DISTANCE = 24;
+
+// Gap between the selection and a panel opened next to it
+const SELECTION_GAP = 8;
+
+// Sites whose panel layout is remembered; the least recently used are forgotten
+const MAX_SAVED_LAYOUTS = 50;
+
+// Storage writes are held back while the panel is still being moved
+const LAYOUT_SAVE_DELAY = 500;
+
+// Resize handles around the panel, named by compass direction
+const RESIZE_DIRECTIONS = ['n', 's', 'e', 'w', 'ne', 'nw', 'se', 'sw'];
+
+// Position and size of the panel on this site, or null for the default corner.
+// left/top are pixels from the window's top-left; width/height stay null until the
+// panel is resized. dockX ('left'/'right') and dockY ('top'/'bottom') name the
+// window edges it is docked to and follows when the window is resized.
+let panelLayout = null;
+let layoutSaveTimer = null;
+
+// Options from the setup page: { openNearSelection }
+let panelSettings = {};
+
+// Loading markup for the first answer in a panel and for follow-up answers
+const INITIAL_LOADING_MARKUP = `
+  <div style="animation: fadeIn 0.5s cubic-bezier(0.22, 1, 0.36, 1)">
+    <p style="color: var(--gemini-text); margin: 10px 0 20px; font-size: 15px; text-align: center;">
+      Processing your request
+    </p>
+    
+    <!-- Modern pulse loader -->
+    <div class="loading-pulse"></div>
+    
+    <!-- Bouncing dots loader -->
+    <div class="loading-dots">
+      <div class="dot"></div>
+      <div class="dot"></div>
+      <div class="dot"></div>
+    </div>
+  </div>`;
+
+// Colors of the dark theme, used when it is chosen or the system prefers it
+const DARK_THEME_VARIABLES = `
+  --gemini-primary: #8ab4f8;
+  --gemini-primary-light: #aecbfa;
+  --gemini-primary-dark: #669df6;
+  --gemini-primary-rgb: 138, 180, 248;
+  --gemini-bg: #202124;
+  --gemini-bg-secondary: #292a2d;
+  --gemini-text: #e8eaed;
+  --gemini-text-secondary: #9aa0a6;
+  --gemini-border: #3c4043;
+  --gemini-border-light: #484a4c;
+  --gemini-shadow: rgba(0, 0, 0, 0.3);
+  --gemini-card-shadow: 0 2px 6px 2px rgba(0, 0, 0, 0.3);
+  --gemini-hover: rgba(138, 180, 248, 0.12);
+  --gemini-code-bg: rgba(60, 64, 67, 0.8);
+  --gemini-error: #f28b82;
+  --gemini-error-bg: rgba(242, 139, 130, 0.1);
+`;
+
+// Storage key of the panel's theme, accent color, font size and density
+const APPEARANCE_STORAGE_KEY = 'appearance';
+
+// Appearance until the setup page changes it; no accent color keeps the theme's blue
+const DEFAULT_APPEARANCE = {
+  theme: 'auto',
+  accentColor: null,
+  fontSize: 14,
+  density: 'comfortable'
+};
+
+// Padding multiplier for each panel density
+const DENSITY_SCALES = {
+  compact: 0.6,
+  comfortable: 1,
+  spacious: 1.4
+};
+
+// Current appearance settings
+let appearance = DEFAULT_APPEARANCE;
+
+// Entries of the export menu; a divider separates copy and download options
+const EXPORT_OPTIONS = [
+  { id: 'copy-markdown', label: 'Copy as Markdown' },
+  { id: 'copy-text', label: 'Copy as plain text' },
+  { id: 'copy-html', label: 'Copy as HTML' },
+  { id: 'download-md', label: 'Download .md', divider: true },
+  { id: 'download-html', label: 'Download .html' },
+  { id: 'download-json', label: 'Download .json' }
+];
+
+// Error card shown for each error category the background script reports;
+// "settings" cards link to the setup page, "retry" cards offer to ask again
+const ERROR_CARDS = {
+  'auth': { icon: '🔑', title: 'Access denied', action: 'settings' },
+  'bad-model': { icon: '🧩', title: 'Model not available', action: 'settings' },
+  'rate-limit': { icon: '⏳', title: 'Rate limit reached', action: 'retry' },
+  'quota': { icon: '💳', title: 'Quota used up', action: 'settings' },
+  'server': { icon: '🛠️', title: 'Provider error', action: 'retry' },
+  'network': { icon: '📡', title: 'Connection problem', action: 'retry' },
+  'blocked': { icon: '🚫', title: 'Response blocked', action: null },
+  'config': { icon: '⚙️', title: 'Setup needed', action: 'settings' },
+  'unknown': { icon: '⚠️', title: 'Something went wrong', action: 'retry' }
+};
+
+// Elements whose text is sent as the selection's surroundings; shorter ones are
+// widened to the enclosing section until they have MIN_SURROUNDING_CHARS
+const CONTEXT_BLOCK_SELECTOR = 'p, li, dd, blockquote, pre, td, th, figcaption, section, article, main';
+const MIN_SURROUNDING_CHARS = 400;
+
+// Most characters of surrounding text read from the page; the background
+// script cuts them down to the configured budget
+const MAX_SURROUNDING_CHARS = 20000;
+
+// Page parts left out when reading a whole page: navigation, ads, footers and the like
+const NON_ARTICLE_SELECTOR = [
+  'nav', 'header', 'footer', 'aside', 'form', 'button', 'script', 'style', 'noscript', 'template',
+  'iframe', 'svg', 'canvas', '[hidden]', '[aria-hidden="true"]', '[role="navigation"]', '[role="banner"]',
+  '[role="contentinfo"]', '[role="complementary"]', '[role="search"]', '.ad', '.ads', '[class*="advert"]',
+  '[id*="advert"]', '[class*="sponsor"]', '[class*="cookie"]', '[class*="newsletter"]', '[class*="comments"]',
+  '[id*="comments"]'
+].join(', ');
+
+// Elements read as one paragraph of a page's text; headings start a new section
+const ARTICLE_BLOCK_SELECTOR = 'p, li, pre, blockquote, td, th, dt, dd, figcaption, h1, h2, h3, h4, h5, h6';
+
+// Shortest text taken as a page's main content, and the most characters of a
+// page's text sent to the background script
+const MIN_ARTICLE_CHARS = 200;
+const MAX_ARTICLE_CHARS = 500000;
+
+// Question sent when the user asks about an image without typing one
+const DEFAULT_IMAGE_QUESTION = 'Describe this image.';
+
+// Prompts shown for whole-page conversations before the page has been read
+const PAGE_TASKS = {
+  summarize: { title: 'Summarize page', prompt: 'Summarize this page' },
+  ask: { title: 'Ask about page', prompt: 'Ask about this page' }
+};
+
+const FOLLOW_UP_LOADING_MARKUP = `
+  <div class="loading-dots" style="justify-content: flex-start;">
+    <div class="dot"></div>
+    <div class="dot"></div>
+    <div class="dot"></div>
+  </div>`;
+
 /**
  * Creates and initializes the floating response container
  * Sets up styling, header, content area, and controls
  * @returns {HTMLElement} The created container
  */
 function createResponseContainer() {
-  // Clean up existing container if present
+  // Clean up existing container if present; its conversations go with it
   if (responseContainer) {
-    document.body.removeChild(responseContainer);
+    responseContainer.remove();
   }
+  conversations.length = 0;
+  activeConversation = null;
+
+  const root = getPanelRoot();
 
   // Create new container element
   responseContainer = document.createElement('div');
   responseContainer.id = 'gemini-response-container';
+  // A non-modal dialog: the page stays usable, but Tab cycles within the panel
+  responseContainer.setAttribute('role', 'dialog');
+  responseContainer.setAttribute('aria-labelledby', 'gemini-panel-title');
+  responseContainer.setAttribute('aria-describedby', 'model-info');
+  responseContainer.tabIndex = -1;
+  responseContainer.addEventListener('keydown', handlePanelKeydown, true);
   
   // ===== STYLE DEFINITIONS =====
   
-  // Add CSS variables and styles for theming
-  const style = document.createElement('style');
-  style.textContent = `
-    :root {
-      --gemini-primary: #4285F4;
-      --gemini-primary-light: #82b1ff;
-      --gemini-primary-dark: #3367d6;
-      --gemini-bg: #ffffff;
-      --gemini-bg-secondary: #f8f9fa;
-      --gemini-text: #202124;
-      --gemini-text-secondary: #5f6368;
-      --gemini-border: #dadce0;
-      --gemini-border-light: #f1f3f4;
-      --gemini-shadow: rgba(60, 64, 67, 0.15);
-      --gemini-card-shadow: 0 2px 6px 2px rgba(60, 64, 67, 0.15);
-      --gemini-hover: rgba(66, 133, 244, 0.08);
-      --gemini-code-bg: rgba(241, 243, 244, 0.8);
-    }
+  // Add CSS variables and styles for theming, once per shadow root
+  if (!root.querySelector('style')) {
+    const style = document.createElement('style');
+    style.textContent = `
+      /* Keep inherited page styles (fonts, colors, line height) out of the panel */
+      :host {
+        all: initial !important;
+      }
 
-    @media (prefers-color-scheme: dark) {
-      :root {
-        --gemini-primary: #8ab4f8;
-        --gemini-primary-light: #aecbfa;
-        --gemini-primary-dark: #669df6;
-        --gemini-bg: #202124;
-        --gemini-bg-secondary: #292a2d;
-        --gemini-text: #e8eaed;
-        --gemini-text-secondary: #9aa0a6;
-        --gemini-border: #3c4043;
-        --gemini-border-light: #484a4c;
-        --gemini-shadow: rgba(0, 0, 0, 0.3);
-        --gemini-card-shadow: 0 2px 6px 2px rgba(0, 0, 0, 0.3);
-        --gemini-hover: rgba(138, 180, 248, 0.12);
-        --gemini-code-bg: rgba(60, 64, 67, 0.8);
+      :host {
+        --gemini-primary: #4285F4;
+        --gemini-primary-light: #82b1ff;
+        --gemini-primary-dark: #3367d6;
+        --gemini-primary-rgb: 66, 133, 244;
+        --gemini-bg: #ffffff;
+        --gemini-bg-secondary: #f8f9fa;
+        --gemini-text: #202124;
+        --gemini-text-secondary: #5f6368;
+        --gemini-border: #dadce0;
+        --gemini-border-light: #f1f3f4;
+        --gemini-shadow: rgba(60, 64, 67, 0.15);
+        --gemini-card-shadow: 0 2px 6px 2px rgba(60, 64, 67, 0.15);
+        --gemini-hover: rgba(66, 133, 244, 0.08);
+        --gemini-code-bg: rgba(241, 243, 244, 0.8);
+        --gemini-error: #d93025;
+        --gemini-error-bg: rgba(217, 48, 37, 0.06);
+        --gemini-font-size: 14px;
+        --gemini-density: 1;
       }
-    }
 
-    /* Animation keyframes */
-    @keyframes fadeIn {
-      from { opacity: 0; transform: translateY(8px); }
-      to { opacity: 1; transform: translateY(0); }
-    }
+      @media (prefers-color-scheme: dark) {
+        :host(:not([data-theme="light"])) {${DARK_THEME_VARIABLES}}
+      }
 
-    @keyframes pulseGlow {
-      0% { box-shadow: 0 0 0 0 rgba(var(--gemini-primary-rgb), 0.4); }
-      70% { box-shadow: 0 0 0 10px rgba(var(--gemini-primary-rgb), 0); }
-      100% { box-shadow: 0 0 0 0 rgba(var(--gemini-primary-rgb), 0); }
-    }
+      /* Chosen on the setup page regardless of the system setting */
+      :host([data-theme="dark"]) {${DARK_THEME_VARIABLES}}
+
+      /* Animation keyframes */
+      @keyframes fadeIn {
+        from { opacity: 0; transform: translateY(8px); }
+        to { opacity: 1; transform: translateY(0); }
+      }
+
+      @keyframes pulseGlow {
+        0% { box-shadow: 0 0 0 0 rgba(var(--gemini-primary-rgb), 0.4); }
+        70% { box-shadow: 0 0 0 10px rgba(var(--gemini-primary-rgb), 0); }
+        100% { box-shadow: 0 0 0 0 rgba(var(--gemini-primary-rgb), 0); }
+      }
     
-    @keyframes shimmer {
-      0% { background-position: -200% 0; }
-      100% { background-position: 200% 0; }
-    }
+      @keyframes shimmer {
+        0% { background-position: -200% 0; }
+        100% { background-position: 200% 0; }
+      }
 
-    @keyframes spin {
-      0% { transform: rotate(0deg); }
-      100% { transform: rotate(360deg); }
-    }
+      @keyframes spin {
+        0% { transform: rotate(0deg); }
+        100% { transform: rotate(360deg); }
+      }
 
-    @keyframes wave {
-      0%, 100% { transform: translateY(0); }
-      25% { transform: translateY(-5px); }
-      75% { transform: translateY(5px); }
-    }
+      @keyframes wave {
+        0%, 100% { transform: translateY(0); }
+        25% { transform: translateY(-5px); }
+        75% { transform: translateY(5px); }
+      }
 
-    /* Loading animation styles */
-    .loading-dots {
-      display: flex;
-      justify-content: center;
-      gap: 8px;
-      margin: 16px 0;
-    }
+      /* Loading animation styles */
+      .loading-dots {
+        display: flex;
+        justify-content: center;
+        gap: 8px;
+        margin: 16px 0;
+      }
 
-    .loading-dots .dot {
-      width: 10px;
-      height: 10px;
-      border-radius: 50%;
-      background-color: var(--gemini-primary);
-      opacity: 0.8;
-    }
+      .loading-dots .dot {
+        width: 10px;
+        height: 10px;
+        border-radius: 50%;
+        background-color: var(--gemini-primary);
+        opacity: 0.8;
+      }
 
-    .loading-dots .dot:nth-child(1) {
-      animation: wave 1.2s ease-in-out infinite;
-      animation-delay: -0.2s;
-    }
+      .loading-dots .dot:nth-child(1) {
+        animation: wave 1.2s ease-in-out infinite;
+        animation-delay: -0.2s;
+      }
 
-    .loading-dots .dot:nth-child(2) {
-      animation: wave 1.2s ease-in-out infinite;
-      animation-delay: 0s;
-    }
+      .loading-dots .dot:nth-child(2) {
+        animation: wave 1.2s ease-in-out infinite;
+        animation-delay: 0s;
+      }
 
-    .loading-dots .dot:nth-child(3) {
-      animation: wave 1.2s ease-in-out infinite;
-      animation-delay: 0.2s;
-    }
+      .loading-dots .dot:nth-child(3) {
+        animation: wave 1.2s ease-in-out infinite;
+        animation-delay: 0.2s;
+      }
 
-    .loading-pulse {
-      width: 45px;
-      height: 45px;
-      border-radius: 50%;
-      margin: 16px auto;
-      position: relative;
-      background: linear-gradient(90deg, var(--gemini-primary-light), var(--gemini-primary-dark));
-      background-size: 400% 100%;
-      animation: shimmer 1.5s ease-in-out infinite, pulseGlow 2s infinite;
-      opacity: 0.85;
-      display: flex;
-      justify-content: center;
-      align-items: center;
-    }
+      .loading-pulse {
+        width: 45px;
+        height: 45px;
+        border-radius: 50%;
+        margin: 16px auto;
+        position: relative;
+        background: linear-gradient(90deg, var(--gemini-primary-light), var(--gemini-primary-dark));
+        background-size: 400% 100%;
+        animation: shimmer 1.5s ease-in-out infinite, pulseGlow 2s infinite;
+        opacity: 0.85;
+        display: flex;
+        justify-content: center;
+        align-items: center;
+      }
 
-    .loading-pulse::after {
-      content: "";
-      position: absolute;
-      width: 70%;
-      height: 70%;
-      border-radius: 50%;
-      background-color: var(--gemini-bg);
-    }
-  `;
-  document.head.appendChild(style);
+      .loading-pulse::after {
+        content: "";
+        position: absolute;
+        width: 70%;
+        height: 70%;
+        border-radius: 50%;
+        background-color: var(--gemini-bg);
+      }
+
+      @keyframes blink {
+        0%, 100% { opacity: 1; }
+        50% { opacity: 0; }
+      }
+
+      /* Rendered Markdown in responses */
+      #gemini-response-content .markdown-body {
+        overflow-wrap: break-word;
+      }
+
+      #gemini-response-content .markdown-body > :first-child {
+        margin-top: 0;
+      }
+
+      #gemini-response-content p {
+        margin: 0 0 14px 0;
+      }
+
+      #gemini-response-content h1,
+      #gemini-response-content h2,
+      #gemini-response-content h3,
+      #gemini-response-content h4,
+      #gemini-response-content h5,
+      #gemini-response-content h6 {
+        margin: 18px 0 10px;
+        line-height: 1.3;
+        font-weight: 600;
+        color: var(--gemini-text);
+      }
+
+      #gemini-response-content h1 { font-size: 1.4em; }
+      #gemini-response-content h2 { font-size: 1.25em; }
+      #gemini-response-content h3 { font-size: 1.1em; }
+      #gemini-response-content h4,
+      #gemini-response-content h5,
+      #gemini-response-content h6 { font-size: 1em; }
+
+      #gemini-response-content code {
+        background: var(--gemini-code-bg);
+        padding: 2px 6px;
+        border-radius: 4px;
+        font-family: 'SFMono-Regular', 'Consolas', 'Monaco', monospace;
+        font-size: 0.9em;
+        color: var(--gemini-primary);
+      }
+
+      #gemini-response-content pre {
+        background: var(--gemini-bg-secondary);
+        padding: 14px;
+        border-radius: 8px;
+        overflow-x: auto;
+        margin: 14px 0;
+        border: 1px solid var(--gemini-border-light);
+      }
+
+      #gemini-response-content pre code {
+        background: none;
+        padding: 0;
+        color: var(--gemini-text);
+        white-space: pre;
+      }
+
+      #gemini-response-content strong {
+        color: var(--gemini-primary);
+        font-weight: 600;
+      }
+
+      #gemini-response-content a {
+        color: var(--gemini-primary);
+        text-decoration: underline;
+      }
+
+      #gemini-response-content ul,
+      #gemini-response-content ol {
+        padding-left: 20px;
+        margin: 10px 0;
+      }
+
+      #gemini-response-content li {
+        margin-bottom: 6px;
+      }
+
+      #gemini-response-content li > ul,
+      #gemini-response-content li > ol {
+        margin: 6px 0 0;
+      }
+
+      #gemini-response-content .contains-task-list {
+        list-style: none;
+        padding-left: 4px;
+      }
+
+      #gemini-response-content .task-list-item input {
+        margin: 0 6px 0 0;
+        vertical-align: middle;
+      }
+
+      #gemini-response-content blockquote {
+        margin: 14px 0;
+        padding: 4px 14px;
+        border-left: 3px solid var(--gemini-primary-light);
+        color: var(--gemini-text-secondary);
+      }
+
+      #gemini-response-content hr {
+        border: none;
+        border-top: 1px solid var(--gemini-border);
+        margin: 18px 0;
+      }
+
+      #gemini-response-content table {
+        display: block;
+        max-width: 100%;
+        overflow-x: auto;
+        border-collapse: collapse;
+        margin: 14px 0;
+        font-size: 13px;
+      }
+
+      #gemini-response-content th,
+      #gemini-response-content td {
+        border: 1px solid var(--gemini-border);
+        padding: 6px 10px;
+      }
+
+      #gemini-response-content th {
+        background: var(--gemini-bg-secondary);
+        font-weight: 600;
+      }
+
+      #gemini-response-content img {
+        max-width: 100%;
+      }
+
+      /* Conversation turns */
+      .user-turn {
+        margin: 4px 0 14px auto;
+        max-width: 85%;
+        width: fit-content;
+        padding: 8px 12px;
+        border-radius: 12px 12px 4px 12px;
+        background-color: var(--gemini-hover);
+        border: 1px solid var(--gemini-border-light);
+        white-space: pre-wrap;
+        word-wrap: break-word;
+      }
+
+      .assistant-turn + .user-turn {
+        margin-top: 18px;
+      }
+
+      /* Whole-page conversations */
+      .page-hint,
+      .page-progress {
+        margin: 4px 0 14px;
+        color: var(--gemini-text-secondary);
+        font-size: 14px;
+      }
+
+      .image-thumbnail {
+        display: block;
+        max-width: 100%;
+        max-height: 180px;
+        margin: 0 0 12px;
+        border-radius: 8px;
+        border: 1px solid var(--gemini-border-light);
+      }
+
+      /* Page context sent with the first prompt */
+      .page-context {
+        margin: 0 0 14px;
+        font-size: 13px;
+        color: var(--gemini-text-secondary);
+      }
+
+      .page-context summary {
+        cursor: pointer;
+        width: fit-content;
+      }
+
+      .page-context pre {
+        margin: 8px 0 0;
+        padding: 8px 12px;
+        max-height: 200px;
+        overflow-y: auto;
+        border-radius: 8px;
+        background: var(--gemini-bg-secondary);
+        border: 1px solid var(--gemini-border-light);
+        white-space: pre-wrap;
+        word-wrap: break-word;
+        font-family: inherit;
+      }
+
+      /* Caret shown after the text while a response is streaming */
+      .stream-cursor {
+        display: inline-block;
+        width: 7px;
+        height: 1em;
+        margin-left: 2px;
+        vertical-align: text-bottom;
+        background-color: var(--gemini-primary);
+        animation: blink 1s step-start infinite;
+      }
+
+      /* Tabs for answers open at the same time */
+      #gemini-tab-bar {
+        display: none;
+        flex-shrink: 0;
+        gap: 2px;
+        padding: 6px 10px 0;
+        overflow-x: auto;
+        scrollbar-width: none;
+        background-color: var(--gemini-bg-secondary);
+        border-bottom: 1px solid var(--gemini-border);
+      }
+
+      .conversation-tab {
+        display: flex;
+        align-items: center;
+        flex-shrink: 0;
+        max-width: 150px;
+        margin-bottom: -1px;
+        border: 1px solid transparent;
+        border-bottom: none;
+        border-radius: 8px 8px 0 0;
+      }
+
+      .conversation-tab.active {
+        background-color: var(--gemini-bg);
+        border-color: var(--gemini-border);
+      }
+
+      .conversation-tab button {
+        background: none;
+        border: none;
+        padding: 6px 4px 6px 10px;
+        color: var(--gemini-text-secondary);
+        font: inherit;
+        font-size: 12px;
+        cursor: pointer;
+      }
+
+      .conversation-tab.active button {
+        color: var(--gemini-text);
+      }
+
+      .conversation-tab .tab-label {
+        overflow: hidden;
+        white-space: nowrap;
+        text-overflow: ellipsis;
+      }
+
+      .conversation-tab .tab-close {
+        padding: 6px 8px 6px 2px;
+        font-size: 14px;
+        line-height: 1;
+      }
+
+      .conversation-tab.pending .tab-label::before {
+        content: '';
+        display: inline-block;
+        width: 6px;
+        height: 6px;
+        margin-right: 6px;
+        border-radius: 50%;
+        vertical-align: middle;
+        background-color: var(--gemini-primary);
+        animation: blink 1s step-start infinite;
+      }
+
+      /* Marker left on an answer that was stopped */
+      .cancelled-note {
+        font-size: 12px;
+        font-style: italic;
+        color: var(--gemini-text-secondary);
+      }
+
+      /* Card shown in place of an answer that failed */
+      .error-card {
+        padding: 12px 14px;
+        border: 1px solid var(--gemini-border);
+        border-left: 4px solid var(--gemini-error);
+        border-radius: 8px;
+        background: var(--gemini-error-bg);
+        animation: fadeIn 0.3s cubic-bezier(0.22, 1, 0.36, 1);
+      }
+
+      .error-card-title {
+        font-weight: 500;
+        color: var(--gemini-error);
+        margin-bottom: 4px;
+      }
+
+      .error-card-message {
+        font-size: 14px;
+        color: var(--gemini-text);
+        overflow-wrap: anywhere;
+      }
+
+      .error-card-hint {
+        font-size: 12px;
+        color: var(--gemini-text-secondary);
+        margin-top: 6px;
+      }
+
+      .error-card button {
+        margin-top: 10px;
+        padding: 6px 12px;
+        border: 1px solid var(--gemini-border);
+        border-radius: 8px;
+        background: var(--gemini-bg);
+        color: var(--gemini-primary);
+        font: inherit;
+        font-size: 13px;
+        font-weight: 500;
+        cursor: pointer;
+      }
+
+      .error-card button:hover {
+        background: var(--gemini-hover);
+      }
+
+      /* Side-by-side answers from several models */
+      .compare-grid {
+        display: grid;
+        grid-auto-flow: column;
+        grid-auto-columns: minmax(200px, 1fr);
+        gap: 10px;
+        overflow-x: auto;
+        padding-bottom: 4px;
+      }
+
+      .compare-column {
+        display: flex;
+        flex-direction: column;
+        min-width: 0;
+        padding: 10px 12px;
+        border: 1px solid var(--gemini-border);
+        border-radius: 10px;
+        background: var(--gemini-bg-secondary);
+      }
+
+      .compare-column.picked {
+        border-color: var(--gemini-primary);
+        box-shadow: 0 0 0 1px var(--gemini-primary);
+      }
+
+      .compare-header {
+        display: flex;
+        justify-content: space-between;
+        gap: 8px;
+        margin-bottom: 6px;
+        font-size: 12px;
+        font-weight: 500;
+        color: var(--gemini-text-secondary);
+      }
+
+      .compare-source {
+        overflow: hidden;
+        text-overflow: ellipsis;
+        white-space: nowrap;
+      }
+
+      .compare-latency {
+        flex-shrink: 0;
+        font-variant-numeric: tabular-nums;
+      }
+
+      .compare-body {
+        flex: 1;
+        font-size: 14px;
+      }
+
+      .compare-pick {
+        align-self: flex-start;
+        margin-top: 10px;
+        padding: 6px 12px;
+        border: 1px solid var(--gemini-border);
+        border-radius: 8px;
+        background: var(--gemini-bg);
+        color: var(--gemini-primary);
+        font: inherit;
+        font-size: 13px;
+        font-weight: 500;
+        cursor: pointer;
+      }
+
+      .compare-pick:hover:not(:disabled) {
+        background: var(--gemini-hover);
+      }
+
+      .compare-pick:disabled {
+        cursor: default;
+        opacity: 0.6;
+      }
+
+      .compare-column.picked .compare-pick {
+        opacity: 1;
+      }
+
+      /* Export menu and the short notice shown after copying */
+      .export-menu {
+        position: absolute;
+        right: 12px;
+        flex-direction: column;
+        min-width: 180px;
+        padding: 6px;
+        background: var(--gemini-bg);
+        border: 1px solid var(--gemini-border);
+        border-radius: 10px;
+        box-shadow: var(--gemini-card-shadow);
+        z-index: 1;
+        animation: fadeIn 0.2s cubic-bezier(0.22, 1, 0.36, 1);
+      }
+
+      .export-menu button {
+        background: none;
+        border: none;
+        color: var(--gemini-text);
+        font: inherit;
+        font-size: 13px;
+        text-align: left;
+        padding: 8px 10px;
+        border-radius: 6px;
+        cursor: pointer;
+      }
+
+      .export-menu button:hover {
+        background: var(--gemini-hover);
+      }
+
+      .export-menu hr {
+        width: 100%;
+        border: none;
+        border-top: 1px solid var(--gemini-border);
+        margin: 4px 0;
+      }
+
+      .panel-notice {
+        position: absolute;
+        bottom: 72px;
+        left: 50%;
+        transform: translateX(-50%);
+        padding: 6px 14px;
+        border-radius: 14px;
+        background: var(--gemini-text);
+        color: var(--gemini-bg);
+        font-size: 12px;
+        white-space: nowrap;
+        animation: fadeIn 0.2s cubic-bezier(0.22, 1, 0.36, 1);
+      }
+
+      /* Invisible strips along the panel's edges and corners for resizing */
+      .resize-handle {
+        position: absolute;
+        z-index: 2;
+        touch-action: none;
+      }
+
+      .resize-handle.n, .resize-handle.s {
+        left: 12px;
+        right: 12px;
+        height: 6px;
+        cursor: ns-resize;
+      }
+
+      .resize-handle.e, .resize-handle.w {
+        top: 12px;
+        bottom: 12px;
+        width: 6px;
+        cursor: ew-resize;
+      }
+
+      .resize-handle.ne, .resize-handle.nw, .resize-handle.se, .resize-handle.sw {
+        width: 12px;
+        height: 12px;
+      }
+
+      .resize-handle.n, .resize-handle.ne, .resize-handle.nw { top: 0; }
+      .resize-handle.s, .resize-handle.se, .resize-handle.sw { bottom: 0; }
+      .resize-handle.e, .resize-handle.ne, .resize-handle.se { right: 0; }
+      .resize-handle.w, .resize-handle.nw, .resize-handle.sw { left: 0; }
+      .resize-handle.nw, .resize-handle.se { cursor: nwse-resize; }
+      .resize-handle.ne, .resize-handle.sw { cursor: nesw-resize; }
+
+      /* Hidden visually but still read by screen readers */
+      .visually-hidden {
+        position: absolute;
+        width: 1px;
+        height: 1px;
+        margin: -1px;
+        padding: 0;
+        overflow: hidden;
+        clip: rect(0 0 0 0);
+        white-space: nowrap;
+        border: 0;
+      }
+
+      /* Keyboard focus rings; the header and its buttons sit on the primary color */
+      button:focus-visible,
+      textarea:focus-visible,
+      #gemini-response-content:focus-visible {
+        outline: 2px solid var(--gemini-primary);
+        outline-offset: 2px;
+      }
+
+      #gemini-panel-header:focus-visible,
+      #gemini-panel-header button:focus-visible {
+        outline: 2px solid white;
+        outline-offset: -2px;
+      }
+
+      #gemini-response-container:focus {
+        outline: none;
+      }
+
+      /* Notices while the panel is closed sit at the bottom of the window */
+      .panel-notice.detached {
+        position: fixed;
+        bottom: 24px;
+        z-index: 2147483647;
+        font-family: 'Google Sans', system-ui, -apple-system, BlinkMacSystemFont, sans-serif;
+      }
+    `;
+    root.appendChild(style);
+    applyAppearance();
+  }
 
   // ===== CONTAINER STYLING =====
   
   // Apply main container styles
   responseContainer.style.cssText = `
     position: fixed;
-    bottom: 20px;
-    right: 20px;
-    width: 400px;
-    max-height: 500px;
+    bottom: ${PANEL_EDGE_MARGIN}px;
+    right: ${PANEL_EDGE_MARGIN}px;
+    width: ${DEFAULT_PANEL_WIDTH}px;
+    max-height: ${DEFAULT_PANEL_HEIGHT}px;
     background-color: var(--gemini-bg);
     color: var(--gemini-text);
     border: 1px solid var(--gemini-border);
@@ -168,6 +911,8 @@ function createResponseContainer() {
     z-index: 9999;
     overflow: hidden;
     display: none;
+    flex-direction: column;
+    max-width: 100vw;
     font-family: 'Google Sans', system-ui, -apple-system, BlinkMacSystemFont, sans-serif;
     transform-origin: bottom right;
     transition: transform 0.3s cubic-bezier(0.22, 1, 0.36, 1), 
@@ -183,8 +928,13 @@ function createResponseContainer() {
   
   // Create header with gradient background
   const header = document.createElement('div');
+  header.id = 'gemini-panel-header';
+  // Focusable so the panel can be moved with the arrow keys (see makeDraggable)
+  header.tabIndex = 0;
+  header.setAttribute('role', 'group');
+  header.setAttribute('aria-label', 'Panel header. Use the arrow keys to move the panel, with Shift for larger steps');
   header.style.cssText = `
-    padding: 14px 18px;
+    padding: calc(14px * var(--gemini-density)) calc(18px * var(--gemini-density));
     background: linear-gradient(90deg, var(--gemini-primary), var(--gemini-primary-dark));
     color: white;
     font-weight: 500;
@@ -193,6 +943,7 @@ function createResponseContainer() {
     align-items: center;
     cursor: move;
     user-select: none;
+    touch-action: none;
     border-bottom: 1px solid var(--gemini-border);
   `;
 
@@ -206,6 +957,7 @@ function createResponseContainer() {
 
   // Add AI assistant icon
   const icon = document.createElement('div');
+  icon.setAttribute('aria-hidden', 'true');
   icon.innerHTML = `<svg width="22" height="22" viewBox="0 0 24 24" fill="white">
     <path d="M12 1L3 5v6c0 5.55 3.84 10.74 9 12 5.16-1.26 9-6.45 9-12V5l-9-4zm0 4c1.86 0 3.41 1.28 3.86 3H8.14c.45-1.72 2-3 3.86-3zm0 14c-3.03 0-5.78-1.44-7.5-3.69C6.24 13.5 8.97 12.5 12 12.5s5.76 1 7.5 2.81C17.78 17.56 15.03 19 12 19z"/>
   </svg>`;
@@ -219,7 +971,8 @@ function createResponseContainer() {
   `;
   
   const mainTitle = document.createElement('div');
-  mainTitle.textContent = 'AI Assistant';
+  mainTitle.id = 'gemini-panel-title';
+  mainTitle.textContent = DEFAULT_PANEL_TITLE;
   
   // Add model info display
   const modelInfo = document.createElement('div');
@@ -231,13 +984,7 @@ function createResponseContainer() {
   `;
   
   // Get active provider and model info from storage
-  chrome.storage.local.get(['apiConfig', 'activeProvider'], function(data) {
-    if (data.activeProvider && data.apiConfig?.[data.activeProvider]?.selectedModel) {
-      modelInfo.textContent = data.apiConfig[data.activeProvider].selectedModel;
-    } else {
-      modelInfo.textContent = 'No model selected';
-    }
-  });
+  loadConfiguredModelInfo();
   
   titleText.appendChild(mainTitle);
   titleText.appendChild(modelInfo);
@@ -254,29 +1001,80 @@ function createResponseContainer() {
     align-items: center;
   `;
 
+  // Add export and regenerate buttons
+  const exportButton = createControlButton('⤓', 'Copy or download', toggleExportMenu);
+  exportButton.id = 'gemini-export-button';
+  exportButton.setAttribute('aria-expanded', 'false');
+  exportButton.setAttribute('aria-controls', 'gemini-export-menu');
+  exportButton.style.fontSize = '16px';
+  controls.appendChild(exportButton);
+
+  const regenerateButton = createControlButton('↻', 'Regenerate (skip cache)', regenerateResponse);
+  controls.appendChild(regenerateButton);
+
   // Add minimize button
-  const minimizeButton = createControlButton('−', toggleMinimize);
+  const minimizeButton = createControlButton('−', 'Minimize panel', toggleMinimize);
+  minimizeButton.id = 'gemini-minimize-button';
+  minimizeButton.setAttribute('aria-expanded', 'true');
+  minimizeButton.setAttribute('aria-controls', 'gemini-response-content');
   controls.appendChild(minimizeButton);
 
   // Add close button
-  const closeButton = createControlButton('×', closeContainer);
+  const closeButton = createControlButton('×', 'Close panel', closeContainer);
   closeButton.style.fontSize = '24px'; // Larger X
   controls.appendChild(closeButton);
   
   header.appendChild(controls);
   responseContainer.appendChild(header);
+
+  // ===== CONVERSATION TABS =====
+
+  // Tab strip, shown once more than one answer is open
+  const tabBar = document.createElement('div');
+  tabBar.id = 'gemini-tab-bar';
+  tabBar.setAttribute('role', 'tablist');
+  tabBar.setAttribute('aria-label', 'Conversations');
+  responseContainer.appendChild(tabBar);
+
+  // ===== EXPORT MENU =====
+
+  const exportMenu = document.createElement('div');
+  exportMenu.id = 'gemini-export-menu';
+  exportMenu.className = 'export-menu';
+  exportMenu.setAttribute('role', 'group');
+  exportMenu.setAttribute('aria-label', 'Copy or download');
+  exportMenu.style.display = 'none';
+  EXPORT_OPTIONS.forEach(option => {
+    if (option.divider) {
+      exportMenu.appendChild(document.createElement('hr'));
+    }
+    const item = document.createElement('button');
+    item.textContent = option.label;
+    item.addEventListener('click', () => {
+      toggleExportMenu();
+      exportAnswer(option.id);
+    });
+    exportMenu.appendChild(item);
+  });
+  responseContainer.appendChild(exportMenu);
   
   // ===== CONTENT AREA =====
   
   // Create scrollable content area
   const content = document.createElement('div');
   content.id = 'gemini-response-content';
+  // Focusable so the answer can be scrolled with the keyboard
+  content.tabIndex = 0;
+  content.setAttribute('role', 'region');
+  content.setAttribute('aria-label', 'Answer');
   content.style.cssText = `
-    padding: 18px;
+    padding: calc(18px * var(--gemini-density));
     overflow-y: auto;
-    max-height: 400px;
+    flex: 1 1 auto;
+    min-height: 0;
+    max-height: ${DEFAULT_CONTENT_HEIGHT}px;
     line-height: 1.6;
-    font-size: 14px;
+    font-size: var(--gemini-font-size);
     color: var(--gemini-text);
     scroll-behavior: smooth;
     background-color: var(--gemini-bg);
@@ -285,82 +1083,158 @@ function createResponseContainer() {
     /* Scrollbar styling */
     scrollbar-width: thin;
     scrollbar-color: var(--gemini-primary) transparent;
-    
-    &::-webkit-scrollbar {
-      width: 6px;
-    }
-    
-    &::-webkit-scrollbar-track {
-      background: transparent;
-    }
-    
-    &::-webkit-scrollbar-thumb {
-      background-color: var(--gemini-text-secondary);
-      border-radius: 10px;
-      opacity: 0.6;
-    }
+  `;
+  responseContainer.appendChild(content);
 
-    &::-webkit-scrollbar-thumb:hover {
-      background-color: var(--gemini-primary);
-    }
+  // Announces loading and finished answers; streamed text itself isn't read out
+  const status = document.createElement('div');
+  status.id = 'gemini-panel-status';
+  status.className = 'visually-hidden';
+  status.setAttribute('role', 'status');
+  status.setAttribute('aria-live', 'polite');
+  responseContainer.appendChild(status);
 
-    /* Content styling */
-    & p {
-      margin: 0 0 14px 0;
-    }
+  // ===== FOLLOW-UP INPUT =====
 
-    & code {
-      background: var(--gemini-code-bg);
-      padding: 2px 6px;
-      border-radius: 4px;
-      font-family: 'SFMono-Regular', 'Consolas', 'Monaco', monospace;
-      font-size: 0.9em;
-      color: var(--gemini-primary);
-    }
+  // Create input row for asking follow-up questions in the same conversation
+  const chatForm = document.createElement('form');
+  chatForm.id = 'gemini-chat-form';
+  chatForm.style.cssText = `
+    display: flex;
+    gap: 8px;
+    align-items: flex-end;
+    padding: calc(10px * var(--gemini-density)) calc(12px * var(--gemini-density));
+    margin: 0;
+    border-top: 1px solid var(--gemini-border);
+    background-color: var(--gemini-bg-secondary);
+  `;
 
-    & pre {
-      background: var(--gemini-bg-secondary);
-      padding: 14px;
-      border-radius: 8px;
-      overflow-x: auto;
-      margin: 14px 0;
-      border: 1px solid var(--gemini-border-light);
-    }
+  const chatInput = document.createElement('textarea');
+  chatInput.id = 'gemini-chat-input';
+  chatInput.rows = 1;
+  chatInput.placeholder = 'Ask a follow-up question...';
+  chatInput.setAttribute('aria-label', 'Follow-up question');
+  chatInput.style.cssText = `
+    flex: 1;
+    resize: none;
+    min-height: 20px;
+    max-height: 96px;
+    padding: 8px 12px;
+    margin: 0;
+    border: 1px solid var(--gemini-border);
+    border-radius: 18px;
+    background-color: var(--gemini-bg);
+    color: var(--gemini-text);
+    font: inherit;
+    font-size: var(--gemini-font-size);
+    line-height: 1.4;
+    outline: none;
+    box-sizing: content-box;
+  `;
 
-    & strong {
-      color: var(--gemini-primary);
-      font-weight: 600;
-    }
-    
-    & ul, & ol {
-      padding-left: 20px;
-      margin: 10px 0;
-    }
-    
-    & li {
-      margin-bottom: 6px;
+  // Grow with the text up to max-height
+  chatInput.addEventListener('input', () => {
+    chatInput.style.height = 'auto';
+    chatInput.style.height = chatInput.scrollHeight - 16 + 'px';
+  });
+
+  // Enter sends, Shift+Enter adds a new line; keep keystrokes away from page shortcuts
+  chatInput.addEventListener('keydown', (e) => {
+    e.stopPropagation();
+    if (e.key === 'Enter' && !e.shiftKey && !e.isComposing) {
+      e.preventDefault();
+      chatForm.requestSubmit();
     }
+  });
+
+  const sendButton = document.createElement('button');
+  sendButton.type = 'submit';
+  sendButton.id = 'gemini-chat-send';
+  sendButton.textContent = 'Send';
+  sendButton.style.cssText = `
+    padding: 8px 14px;
+    margin: 0;
+    border: none;
+    border-radius: 18px;
+    background-color: var(--gemini-primary);
+    color: white;
+    font: inherit;
+    font-size: 13px;
+    font-weight: 500;
+    cursor: pointer;
   `;
-  responseContainer.appendChild(content);
+
+  // While an answer is loading the button stops it instead of sending
+  chatForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    if (activeConversation && activeConversation.requestId) {
+      cancelConversationRequest(activeConversation);
+    } else {
+      sendFollowUp(chatInput.value);
+    }
+  });
+
+  chatForm.appendChild(chatInput);
+  chatForm.appendChild(sendButton);
+  responseContainer.appendChild(chatForm);
   
-  // Add container to page
-  document.body.appendChild(responseContainer);
+  // Add container to the shadow root
+  root.appendChild(responseContainer);
   
-  // Make container draggable
+  // Make container draggable and resizable, where it was left on this site
   makeDraggable(responseContainer, header);
+  RESIZE_DIRECTIONS.forEach(direction => {
+    const handle = document.createElement('div');
+    handle.className = `resize-handle ${direction}`;
+    handle.dataset.direction = direction;
+    handle.setAttribute('aria-hidden', 'true');
+    handle.addEventListener('pointerdown', startPanelResize);
+    responseContainer.appendChild(handle);
+  });
+  applyPanelLayout();
   
   return responseContainer;
 }
 
+/**
+ * Returns the panel's shadow root, creating the host element on first use
+ * @returns {ShadowRoot} - Closed shadow root that holds the panel and its styles
+ */
+function getPanelRoot() {
+  if (!panelRoot) {
+    // A custom tag name keeps page selectors like "div" from matching the host
+    panelHost = document.createElement('chat-with-cat-panel');
+    panelRoot = panelHost.attachShadow({ mode: 'closed' });
+  }
+
+  if (!panelHost.isConnected) {
+    document.body.appendChild(panelHost);
+  }
+  return panelRoot;
+}
+
+/**
+ * Looks up an element of the panel by id
+ * @param {string} id - Element id inside the shadow root
+ * @returns {HTMLElement|null} - The element, or null if the panel doesn't exist
+ */
+function getPanelElement(id) {
+  return panelRoot ? panelRoot.getElementById(id) : null;
+}
+
 /**
  * Creates a control button with hover effects
- * @param {string} text - Button text
+ * @param {string} glyph - Symbol shown on the button
+ * @param {string} label - Accessible name, also shown as the tooltip
  * @param {Function} clickHandler - Click event handler
  * @returns {HTMLElement} - Button element
  */
-function createControlButton(text, clickHandler) {
+function createControlButton(glyph, label, clickHandler) {
   const button = document.createElement('button');
-  button.innerHTML = text;
+  button.type = 'button';
+  button.textContent = glyph;
+  button.title = label;
+  button.setAttribute('aria-label', label);
   button.style.cssText = `
     background: rgba(255, 255, 255, 0.1);
     border: none;
@@ -396,26 +1270,58 @@ function createControlButton(text, clickHandler) {
  * Toggles content visibility when minimize button is clicked
  */
 function toggleMinimize() {
-  const content = document.getElementById('gemini-response-content');
-  const minimizeButton = this;
+  const content = getPanelElement('gemini-response-content');
+  const chatForm = getPanelElement('gemini-chat-form');
+  const minimizeButton = getPanelElement('gemini-minimize-button');
   
   if (content.style.display === 'none') {
     content.style.display = 'block';
     content.style.animation = 'fadeIn 0.3s cubic-bezier(0.22, 1, 0.36, 1)';
-    minimizeButton.innerHTML = '−';
+    chatForm.style.display = 'flex';
+    setMinimizeButtonState(minimizeButton, true);
+    updateTabBar();
+    applyPanelLayout();
   } else {
     content.style.animation = 'fadeIn 0.3s cubic-bezier(0.22, 1, 0.36, 1) reverse';
     setTimeout(() => {
       content.style.display = 'none';
+      chatForm.style.display = 'none';
+      updateTabBar();
+      applyPanelLayout();
     }, 200);
-    minimizeButton.innerHTML = '+';
+    setMinimizeButtonState(minimizeButton, false);
   }
 }
 
+/**
+ * Update the minimize button's glyph and label for the panel's state
+ * @param {HTMLElement} button - The minimize button
+ * @param {boolean} expanded - Whether the answer is shown
+ */
+function setMinimizeButtonState(button, expanded) {
+  const label = expanded ? 'Minimize panel' : 'Expand panel';
+  button.textContent = expanded ? '−' : '+';
+  button.title = label;
+  button.setAttribute('aria-label', label);
+  button.setAttribute('aria-expanded', String(expanded));
+}
+
 /**
  * Closes the response container with animation
+ * All tabs are closed with it and answers still loading are cancelled
  */
 function closeContainer() {
+  [...conversations].forEach(conversation => {
+    cancelConversationRequest(conversation);
+    conversation.view.remove();
+    conversation.tab.remove();
+  });
+  conversations.length = 0;
+  activeConversation = null;
+  stopModelInfoAnimation();
+
+  restoreFocus();
+
   responseContainer.style.opacity = '0';
   responseContainer.style.transform = 'scale(0.95)';
   setTimeout(() => {
@@ -424,80 +1330,434 @@ function closeContainer() {
 }
 
 /**
- * Makes an element draggable by dragging its handle
+ * Keyboard handling for the whole panel: Escape closes it (or just the export
+ * menu) and Tab cycles through the panel's controls instead of leaving for the page
+ * Runs in the capture phase because the chat input stops its keys from bubbling
+ * @param {KeyboardEvent} e - Keyboard event
+ */
+function handlePanelKeydown(e) {
+  if (e.key === 'Escape' && !e.isComposing) {
+    e.preventDefault();
+    e.stopPropagation();
+    if (getPanelElement('gemini-export-menu').style.display !== 'none') {
+      toggleExportMenu();
+      getPanelElement('gemini-export-button').focus();
+    } else {
+      closeContainer();
+    }
+    return;
+  }
+
+  if (e.key !== 'Tab') return;
+  const focusable = [...responseContainer.querySelectorAll(FOCUSABLE_SELECTOR)]
+    .filter(element => element.checkVisibility());
+  if (focusable.length === 0) return;
+
+  const first = focusable[0];
+  const last = focusable[focusable.length - 1];
+  const current = panelRoot.activeElement;
+  if (e.shiftKey && (current === first || current === responseContainer)) {
+    e.preventDefault();
+    last.focus();
+  } else if (!e.shiftKey && current === last) {
+    e.preventDefault();
+    first.focus();
+  }
+}
+
+/**
+ * Remember the focused element and the page selection before the panel takes focus
+ */
+function rememberFocus() {
+  const element = document.activeElement;
+  const selection = window.getSelection();
+  focusBeforePanel = {
+    element: element,
+    range: selection.rangeCount > 0 ? selection.getRangeAt(0).cloneRange() : null,
+    // Text fields keep their own selection, which the page selection doesn't cover
+    fieldSelection: element && typeof element.selectionStart === 'number'
+      ? [element.selectionStart, element.selectionEnd]
+      : null
+  };
+}
+
+/**
+ * Give focus back to where it was before the panel opened and reselect the
+ * text that was asked about
+ * Nothing happens if focus already left the panel, so clicking back into the
+ * page isn't undone
+ */
+function restoreFocus() {
+  const saved = focusBeforePanel;
+  focusBeforePanel = null;
+  if (!saved || !panelRoot || !panelRoot.activeElement) return;
+
+  panelRoot.activeElement.blur();
+  const { element, range, fieldSelection } = saved;
+  if (element && element.isConnected) {
+    element.focus({ preventScroll: true });
+  }
+
+  if (fieldSelection && element.isConnected) {
+    element.setSelectionRange(fieldSelection[0], fieldSelection[1]);
+  } else if (range) {
+    const selection = window.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+  }
+}
+
+/**
+ * Read a short status message to screen reader users
+ * @param {string} text - Message to announce
+ */
+function announceStatus(text) {
+  const status = getPanelElement('gemini-panel-status');
+  if (!status) return;
+
+  // Clear first so repeating the same message is announced again
+  status.textContent = '';
+  setTimeout(() => {
+    status.textContent = text;
+  }, 50);
+}
+
+// ===== PANEL POSITION AND SIZE =====
+
+/**
+ * Makes an element draggable by its handle with a mouse, finger or pen, or with
+ * the arrow keys while the handle has focus
+ * Letting go near a window edge docks the panel to it; the result is saved for the site
  * @param {HTMLElement} element - Element to make draggable
  * @param {HTMLElement} dragHandle - Element to use as drag handle
  */
 function makeDraggable(element, dragHandle) {
-  let pos1 = 0, pos2 = 0, pos3 = 0, pos4 = 0;
+  let startX = 0, startY = 0, startLeft = 0, startTop = 0;
   
-  dragHandle.onmousedown = dragMouseDown;
+  dragHandle.addEventListener('pointerdown', dragPointerDown);
+  dragHandle.addEventListener('keydown', dragKeyDown);
 
   /**
-   * Start dragging on mouse down
-   * @param {MouseEvent} e - Mouse event
+   * Start dragging on pointer down
+   * @param {PointerEvent} e - Pointer event
    */
-  function dragMouseDown(e) {
-    e = e || window.event;
+  function dragPointerDown(e) {
+    // Clicks on the header's buttons aren't drags
+    if (!e.isPrimary || e.button !== 0 || e.target.closest('button')) return;
     e.preventDefault();
-    // Get mouse cursor position at startup
-    pos3 = e.clientX;
-    pos4 = e.clientY;
-    document.onmouseup = closeDragElement;
-    // Call function whenever cursor moves
-    document.onmousemove = elementDrag;
+    // Get pointer and panel position at startup
+    const rect = element.getBoundingClientRect();
+    startX = e.clientX;
+    startY = e.clientY;
+    startLeft = rect.left;
+    startTop = rect.top;
+    // Keep receiving moves even when the pointer leaves the header
+    dragHandle.setPointerCapture(e.pointerId);
+    dragHandle.addEventListener('pointermove', elementDrag);
+    dragHandle.addEventListener('pointerup', closeDragElement);
+    dragHandle.addEventListener('pointercancel', closeDragElement);
     // Add active state
     element.style.boxShadow = '0 10px 25px rgba(0, 0, 0, 0.3)';
   }
 
   /**
    * Handle dragging movement
-   * @param {MouseEvent} e - Mouse event
+   * @param {PointerEvent} e - Pointer event
    */
   function elementDrag(e) {
-    e = e || window.event;
-    e.preventDefault();
-    // Calculate new cursor position
-    pos1 = pos3 - e.clientX;
-    pos2 = pos4 - e.clientY;
-    pos3 = e.clientX;
-    pos4 = e.clientY;
-    // Set element's new position
-    element.style.top = (element.offsetTop - pos2) + "px";
-    element.style.left = (element.offsetLeft - pos1) + "px";
-    // Ensure it stays on screen
-    element.style.top = Math.max(0, Math.min(window.innerHeight - 100, element.offsetTop)) + "px";
-    element.style.left = Math.max(0, Math.min(window.innerWidth - 100, element.offsetLeft)) + "px";
+    setPanelPosition(startLeft + e.clientX - startX, startTop + e.clientY - startY);
   }
 
   /**
-   * Stop dragging on mouse up
+   * Stop dragging when the pointer is released
    */
   function closeDragElement() {
-    // Stop moving when mouse button is released
-    document.onmouseup = null;
-    document.onmousemove = null;
+    dragHandle.removeEventListener('pointermove', elementDrag);
+    dragHandle.removeEventListener('pointerup', closeDragElement);
+    dragHandle.removeEventListener('pointercancel', closeDragElement);
     // Remove active state
     element.style.boxShadow = 'var(--gemini-card-shadow)';
+    snapPanelToEdges();
+    savePanelLayout();
+  }
+
+  /**
+   * Move with the arrow keys; Shift takes larger steps
+   * @param {KeyboardEvent} e - Keyboard event
+   */
+  function dragKeyDown(e) {
+    // Keys pressed on the header's buttons aren't meant for moving
+    if (e.target !== dragHandle) return;
+
+    const step = e.shiftKey ? PANEL_MOVE_STEP_LARGE : PANEL_MOVE_STEP;
+    const offsets = {
+      ArrowLeft: [-step, 0],
+      ArrowRight: [step, 0],
+      ArrowUp: [0, -step],
+      ArrowDown: [0, step]
+    };
+    if (!offsets[e.key]) return;
+
+    e.preventDefault();
+    e.stopPropagation();
+    const rect = element.getBoundingClientRect();
+    setPanelPosition(rect.left + offsets[e.key][0], rect.top + offsets[e.key][1]);
+    snapPanelToEdges();
+    savePanelLayout();
+  }
+}
+
+/**
+ * Resize the panel by dragging one of its edge or corner handles
+ * The opposite edges stay in place
+ * @param {PointerEvent} e - Pointer event on a resize handle
+ */
+function startPanelResize(e) {
+  if (!e.isPrimary || e.button !== 0) return;
+  e.preventDefault();
+
+  const handle = e.currentTarget;
+  const direction = handle.dataset.direction;
+  const start = responseContainer.getBoundingClientRect();
+  const startX = e.clientX;
+  const startY = e.clientY;
+  handle.setPointerCapture(e.pointerId);
+
+  const resize = (event) => {
+    let width = start.width;
+    let height = start.height;
+    if (direction.includes('e')) width += event.clientX - startX;
+    if (direction.includes('w')) width -= event.clientX - startX;
+    if (direction.includes('s')) height += event.clientY - startY;
+    if (direction.includes('n')) height -= event.clientY - startY;
+
+    // Not smaller than the minimum, and not past the window's edges
+    const maxWidth = direction.includes('w') ? start.right : window.innerWidth - start.left;
+    const maxHeight = direction.includes('n') ? start.bottom : window.innerHeight - start.top;
+    width = Math.max(MIN_PANEL_WIDTH, Math.min(maxWidth, width));
+    height = Math.max(MIN_PANEL_HEIGHT, Math.min(maxHeight, height));
+
+    panelLayout = {
+      left: direction.includes('w') ? start.right - width : start.left,
+      top: direction.includes('n') ? start.bottom - height : start.top,
+      width: width,
+      height: height,
+      dockX: null,
+      dockY: null
+    };
+    applyPanelLayout();
+  };
+
+  const stop = () => {
+    handle.removeEventListener('pointermove', resize);
+    handle.removeEventListener('pointerup', stop);
+    handle.removeEventListener('pointercancel', stop);
+    snapPanelToEdges();
+    savePanelLayout();
+  };
+
+  handle.addEventListener('pointermove', resize);
+  handle.addEventListener('pointerup', stop);
+  handle.addEventListener('pointercancel', stop);
+}
+
+/**
+ * Move the panel, undocking it; the size is kept
+ * @param {number} left - Pixels from the window's left edge
+ * @param {number} top - Pixels from the window's top edge
+ */
+function setPanelPosition(left, top) {
+  panelLayout = {
+    width: null,
+    height: null,
+    ...panelLayout,
+    left: left,
+    top: top,
+    dockX: null,
+    dockY: null
+  };
+  applyPanelLayout();
+}
+
+/**
+ * Dock the panel to the window edges it was left close to
+ */
+function snapPanelToEdges() {
+  if (!panelLayout) return;
+  const rect = responseContainer.getBoundingClientRect();
+
+  if (rect.left <= SNAP_DISTANCE) {
+    panelLayout.dockX = 'left';
+  } else if (window.innerWidth - rect.right <= SNAP_DISTANCE) {
+    panelLayout.dockX = 'right';
+  }
+  if (rect.top <= SNAP_DISTANCE) {
+    panelLayout.dockY = 'top';
+  } else if (window.innerHeight - rect.bottom <= SNAP_DISTANCE) {
+    panelLayout.dockY = 'bottom';
+  }
+  applyPanelLayout();
+}
+
+/**
+ * Apply the panel's layout, fitting it into the window
+ * The layout itself isn't changed, so the panel goes back where it was once the
+ * window is large enough again
+ */
+function applyPanelLayout() {
+  const content = getPanelElement('gemini-response-content');
+  if (!responseContainer || !content) return;
+
+  const style = responseContainer.style;
+  const layout = panelLayout;
+  const minimized = content.style.display === 'none';
+
+  // A resized panel has a fixed height, except while minimized
+  const width = Math.min(layout?.width || DEFAULT_PANEL_WIDTH, window.innerWidth);
+  style.width = `${width}px`;
+  if (layout?.height && !minimized) {
+    style.height = `${Math.min(layout.height, window.innerHeight)}px`;
+    style.maxHeight = 'none';
+    content.style.maxHeight = 'none';
+  } else {
+    style.height = '';
+    style.maxHeight = `${Math.min(DEFAULT_PANEL_HEIGHT, window.innerHeight)}px`;
+    content.style.maxHeight = `${DEFAULT_CONTENT_HEIGHT}px`;
+  }
+
+  if (!layout) {
+    style.left = style.top = 'auto';
+    style.right = style.bottom = `${PANEL_EDGE_MARGIN}px`;
+    return;
+  }
+
+  const height = responseContainer.offsetHeight;
+  let left = layout.dockX === 'left' ? 0 : layout.dockX === 'right' ? window.innerWidth - width : layout.left;
+  let top = layout.dockY === 'top' ? 0 : layout.dockY === 'bottom' ? window.innerHeight - height : layout.top;
+  left = Math.max(0, Math.min(window.innerWidth - width, left));
+  top = Math.max(0, Math.min(window.innerHeight - height, top));
+
+  style.right = style.bottom = 'auto';
+  style.left = `${left}px`;
+  style.top = `${top}px`;
+}
+
+/**
+ * Open the panel below the selection, or above it if there is more room there
+ * This placement isn't saved; the size is the one remembered for the site
+ * @param {DOMRect} rect - Area of the selection in the window
+ */
+function placePanelNear(rect) {
+  panelLayout = { width: null, height: null, ...panelLayout, dockX: null, dockY: null };
+  applyPanelLayout();
+
+  const height = responseContainer.offsetHeight;
+  const below = rect.bottom + SELECTION_GAP;
+  const above = rect.top - SELECTION_GAP - height;
+  panelLayout.left = rect.left;
+  panelLayout.top = below + height > window.innerHeight && above >= 0 ? above : below;
+  applyPanelLayout();
+}
+
+/**
+ * Get the area of the current selection, including one inside a text field
+ * @returns {DOMRect|null} - The selection's bounding box, or null if nothing is selected
+ */
+function getSelectionRect() {
+  const field = document.activeElement;
+  if (field && (field.tagName === 'TEXTAREA' || field.tagName === 'INPUT') &&
+      typeof field.selectionStart === 'number' && field.selectionStart !== field.selectionEnd) {
+    // The text's position inside the field isn't exposed, so use the field's box
+    return field.getBoundingClientRect();
   }
+
+  const selection = window.getSelection();
+  if (selection.rangeCount === 0 || selection.isCollapsed) return null;
+  const rect = selection.getRangeAt(0).getBoundingClientRect();
+  return rect.width || rect.height ? rect : null;
+}
+
+/**
+ * Key the panel layout is saved under: the site's hostname
+ * @returns {string} - Hostname, or the protocol for pages without one (e.g. files)
+ */
+function getLayoutKey() {
+  return location.hostname || location.protocol;
+}
+
+/**
+ * Load the panel's options and the layout saved for this site
+ */
+function loadPanelLayout() {
+  chrome.storage.local.get([PANEL_LAYOUTS_STORAGE_KEY, PANEL_SETTINGS_STORAGE_KEY], function(data) {
+    panelSettings = data[PANEL_SETTINGS_STORAGE_KEY] || {};
+    panelLayout = (data[PANEL_LAYOUTS_STORAGE_KEY] || {})[getLayoutKey()] || null;
+    applyPanelLayout();
+  });
+}
+
+/**
+ * Save the panel's layout for this site once it stops changing
+ */
+function savePanelLayout() {
+  clearTimeout(layoutSaveTimer);
+  layoutSaveTimer = setTimeout(() => {
+    if (!panelLayout) return;
+    const layout = {
+      left: Math.round(panelLayout.left),
+      top: Math.round(panelLayout.top),
+      width: panelLayout.width && Math.round(panelLayout.width),
+      height: panelLayout.height && Math.round(panelLayout.height),
+      dockX: panelLayout.dockX,
+      dockY: panelLayout.dockY,
+      savedAt: Date.now()
+    };
+
+    chrome.storage.local.get(PANEL_LAYOUTS_STORAGE_KEY, function(data) {
+      const layouts = data[PANEL_LAYOUTS_STORAGE_KEY] || {};
+      layouts[getLayoutKey()] = layout;
+
+      // Forget the sites whose layout was saved longest ago
+      Object.keys(layouts)
+        .sort((a, b) => layouts[b].savedAt - layouts[a].savedAt)
+        .slice(MAX_SAVED_LAYOUTS)
+        .forEach(key => delete layouts[key]);
+
+      chrome.storage.local.set({ [PANEL_LAYOUTS_STORAGE_KEY]: layouts });
+    });
+  }, LAYOUT_SAVE_DELAY);
 }
 
 /**
- * Process markdown-like formatting in AI responses
+ * Render an AI response as sanitized Markdown (see markdown.js and sanitize.js)
  * @param {string} text - Raw response text
- * @returns {string} - HTML-formatted response
+ * @param {boolean} [showCursor=false] - Append the streaming caret after the last text
+ * @returns {HTMLElement} - Element holding the rendered response
  */
-function formatResponseText(text) {
-  return text
-    .replace(/\n\n/g, '</p><p>')  // Proper paragraph breaks
-    .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')  // Bold text
-    .replace(/\*(.*?)\*/g, '<em>$1</em>')  // Italic text
-    .replace(/`([^`]+)`/g, '<code>$1</code>')  // Inline code
-    .replace(/```([^`]+)```/g, '<pre><code>$1</code></pre>')  // Code blocks
-    .replace(/(?:^|\n)- (.*?)(?=\n|$)/g, '\n<li>$1</li>')  // List items
-    .replace(/<li>.*?<\/li>/gs, match => `<ul>${match}</ul>`)  // Wrap list items
-    .replace(/(?:^|\n)(\d+)\. (.*?)(?=\n|$)/g, '\n<li>$2</li>')  // Numbered list items
-    .replace(/<li>.*?<\/li>/gs, match => match.includes('<ul>') ? match : `<ol>${match}</ol>`);  // Wrap numbered list items
+function formatResponseText(text, showCursor = false) {
+  const body = document.createElement('div');
+  body.className = 'markdown-body';
+  try {
+    body.appendChild(renderSanitizedMarkdown(text));
+  } catch (error) {
+    // A renderer bug must not leave the answer pending; show the text as it came
+    console.warn('Could not render the response as Markdown:', error);
+    body.textContent = text;
+    body.style.whiteSpace = 'pre-wrap';
+  }
+
+  if (showCursor) {
+    const cursor = document.createElement('span');
+    cursor.className = 'stream-cursor';
+
+    // Put the caret inside the last text block so it follows the text inline
+    let target = body;
+    while (target.lastElementChild && /^(P|H[1-6]|UL|OL|LI|BLOCKQUOTE)$/.test(target.lastElementChild.tagName)) {
+      target = target.lastElementChild;
+    }
+    target.appendChild(cursor);
+  }
+  return body;
 }
 
 // ===== MESSAGE HANDLING =====
@@ -509,13 +1769,29 @@ const messageQueue = [];
  * Listen for messages from background script
  */
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  console.log('Content script received message:', message);
+  // Page context is read from the current selection and doesn't need the panel
+  if (message.action === "getPageContext") {
+    sendResponse(getPageContext());
+    return;
+  }
+
+  // Images the background script isn't allowed to download itself
+  if (message.action === "readImage") {
+    readPageImage(message.url).then(sendResponse);
+    return true;
+  }
+
+  // Selected text for the ask-selection shortcut
+  if (message.action === "getSelectionText") {
+    sendResponse({ text: getSelectedText() });
+    return;
+  }
   
   // Set up a response to let background script know message was received
   sendResponse({ received: true });
   
   // Ensure container exists and create it if it doesn't
-  if (!responseContainer || !document.body.contains(responseContainer)) {
+  if (!responseContainer || !responseContainer.isConnected) {
     console.log('Container not ready, creating now...');
     responseContainer = createResponseContainer();
     
@@ -546,144 +1822,1669 @@ function processQueuedMessages() {
 
 /**
  * Process a message from the background script
+ * Every message carries the request ID it belongs to; replies for closed tabs
+ * or for requests that were superseded are ignored
  * @param {Object} message - Message object from background script
  */
 function processMessage(message) {
-  // Handle processing selection - show loading state
+  // Handle a whole-page action from the page's context menu
+  if (message.action === "startPageTask") {
+    startPageTask(message.task);
+    return;
+  }
+
+  // Handle an image picked from the image's context menu
+  if (message.action === "startImageTask") {
+    startImageTask(message);
+    return;
+  }
+
+  // Handle the keyboard shortcuts for the panel
+  if (message.action === "reopenPanel") {
+    reopenPanel();
+    return;
+  }
+  if (message.action === "toggleMinimize") {
+    if (conversations.length > 0) toggleMinimize();
+    return;
+  }
+  if (message.action === "showNotice") {
+    showPanelNotice(message.text);
+    return;
+  }
+
+  // Handle processing selection - open a new tab in loading state
   if (message.action === "processSelection") {
-    showContainerWithLoading();
+    showContainerWithLoading(message.requestId, message.text, message.actionTitle, message.selection,
+      message.comparison, message.pageContext);
+    return;
   }
-  
+
+  // Answers for a comparison arrive per column
+  const comparisonMatch = findComparisonColumn(message.requestId);
+  if (comparisonMatch) {
+    processComparisonMessage(comparisonMatch.conversation, comparisonMatch.column, message);
+    return;
+  }
+
+  const conversation = conversations.find(item => item.requestId === message.requestId);
+  // Chunks still arrive for a while after Stop or closing the tab; they are dropped silently
+  if (!conversation) return;
+
+  // Handle a retried request - drop partially streamed text
+  if (message.action === "streamReset") {
+    resetPendingTurn(conversation);
+  }
+
+  // Handle progress through a long page that is read part by part
+  if (message.action === "pageProgress") {
+    showPageProgress(conversation, message.part, message.parts);
+  }
+
+  // Handle a streamed piece of the response
+  if (message.action === "streamChunk") {
+    appendStreamChunk(conversation, message.chunk);
+  }
+
   // Handle displaying response from AI
   if (message.action === "displayResponse") {
-    displayResponse(message.response);
+    // The prompt built from the page replaces the placeholder so follow-ups keep the page
+    if (conversation.page && message.prompt && !message.isError) {
+      conversation.messages = [{ role: 'user', content: message.prompt }];
+      conversation.page = null;
+    }
+    displayResponse(conversation, message.response, message.isError, {
+      provider: message.provider,
+      model: message.model,
+      fallbackFrom: message.fallbackFrom
+    }, {
+      category: message.errorCategory,
+      retryAfter: message.retryAfter
+    });
   }
 }
 
+/**
+ * Create a request ID for a question asked from the panel
+ * @returns {string} - Unique ID
+ */
+function createRequestId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
 /**
  * Show container with loading animation
+ * Opens a new tab whose conversation starts with the selection prompt
+ * @param {string} requestId - ID of the request that will answer the prompt
+ * @param {string} text - Prompt sent to the AI provider
+ * @param {string} [actionTitle] - Name of the prompt action that ran, shown in the header
+ * @param {string} [selection] - Text selected on the page
+ * @param {Array<Object>} [comparison] - Columns to show when comparing models
+ * @param {string} [pageContext] - Page context included in the prompt, shown collapsed
+ * @returns {Object} - The new conversation
+ */
+function showContainerWithLoading(requestId, text, actionTitle, selection, comparison, pageContext) {
+  showResponseContainer();
+  const conversation = openConversation(requestId, text, actionTitle, selection);
+
+  if (pageContext) {
+    appendPageContext(conversation, pageContext);
+  }
+
+  // Show modern loading animation, or one column per compared model
+  if (comparison) {
+    startComparison(conversation, comparison);
+  } else {
+    appendAssistantTurn(conversation, INITIAL_LOADING_MARKUP);
+  }
+  activateConversation(conversation);
+  return conversation;
+}
+
+/**
+ * Create the container if needed and show it with animation
+ * Opening the panel moves focus into it; closing gives it back (see restoreFocus)
  */
-function showContainerWithLoading() {
+function showResponseContainer() {
   // Ensure container exists
-  if (!responseContainer || !document.body.contains(responseContainer)) {
+  if (!responseContainer || !responseContainer.isConnected) {
     responseContainer = createResponseContainer();
   }
 
-  // Show container with animation
-  responseContainer.style.display = 'block';
+  const opening = responseContainer.style.display !== 'flex';
+  if (opening) {
+    rememberFocus();
+  }
+
+  responseContainer.style.display = 'flex';
   setTimeout(() => {
     responseContainer.style.opacity = '1';
     responseContainer.style.transform = 'scale(1)';
   }, 10);
 
-  // Update model info with loading animation
-  const modelInfo = document.getElementById('model-info');
-  if (modelInfo) {
-    const originalText = modelInfo.textContent;
-    let dots = 0;
-    modelInfo.dataset.originalText = originalText;
-    
-    // Animate the model info text
-    const modelLoadingAnimation = setInterval(() => {
-      dots = (dots + 1) % 4;
-      modelInfo.textContent = 'Processing' + '.'.repeat(dots);
-    }, 300);
-    
-    // Store the interval ID to clear it later
-    modelInfo.dataset.animationId = modelLoadingAnimation;
-  }
-
-  // Show modern loading animation
-  const contentDiv = document.getElementById('gemini-response-content');
-  if (contentDiv) {
-    contentDiv.innerHTML = `
-      <div style="animation: fadeIn 0.5s cubic-bezier(0.22, 1, 0.36, 1)">
-        <p style="color: var(--gemini-text); margin: 10px 0 20px; font-size: 15px; text-align: center;">
-          Processing your request
-        </p>
-        
-        <!-- Modern pulse loader -->
-        <div class="loading-pulse"></div>
-        
-        <!-- Bouncing dots loader -->
-        <div class="loading-dots">
-          <div class="dot"></div>
-          <div class="dot"></div>
-          <div class="dot"></div>
-        </div>
-      </div>`;
-  }
-}
-
-/**
- * Display formatted AI response in the container
- * @param {string} response - Raw response text
+  if (opening) {
+    const selectionRect = panelSettings.openNearSelection ? getSelectionRect() : null;
+    if (selectionRect) {
+      placePanelNear(selectionRect);
+    } else {
+      applyPanelLayout();
+    }
+    responseContainer.focus({ preventScroll: true });
+  }
+}
+
+// ===== CONVERSATION TABS =====
+
+/**
+ * Start a conversation in a new panel tab
+ * @param {string} requestId - ID of the request answering the first prompt
+ * @param {string} text - First prompt
+ * @param {string} [actionTitle] - Prompt action name
+ * @param {string} [selection] - Text selected on the page
+ * @returns {Object} - The new conversation
  */
-function displayResponse(response) {
-  // Ensure container exists
-  if (!responseContainer || !document.body.contains(responseContainer)) {
-    responseContainer = createResponseContainer();
+function openConversation(requestId, text, actionTitle, selection) {
+  // Make room by closing the oldest tab that isn't waiting for an answer
+  if (conversations.length >= MAX_CONVERSATIONS) {
+    const oldest = conversations.find(item => !item.requestId) || conversations[0];
+    closeConversation(oldest, false);
   }
 
-  // Reset the model info text if it was animating
-  const modelInfo = document.getElementById('model-info');
-  if (modelInfo && modelInfo.dataset.originalText) {
-    clearInterval(modelInfo.dataset.animationId);
-    modelInfo.textContent = modelInfo.dataset.originalText;
+  const view = document.createElement('div');
+  view.className = 'conversation-view';
+  getPanelElement('gemini-response-content').appendChild(view);
+
+  const conversation = {
+    title: actionTitle || DEFAULT_PANEL_TITLE,
+    // Messages exchanged in this tab: the original selection plus follow-up turns
+    messages: [{ role: 'user', content: text }],
+    // Selection and prompt action the tab was opened with, sent along for the history,
+    // and the ID of the history entry its answers are saved to
+    context: { selection: selection || text, action: actionTitle || null, historyId: requestId || createRequestId() },
+    // Provider and model that wrote the latest answer, for exports
+    source: {},
+    // Columns of a model comparison, and whether one was picked; null for normal tabs
+    comparison: null,
+    // For a whole-page conversation still waiting for its first answer, { question }
+    // (null for a summary); the page is read again each time it is sent
+    page: null,
+    // Image ({ mimeType, data }) to attach to the next question, until it has been asked
+    image: null,
+    // Request still waiting for an answer, or null
+    requestId: requestId,
+    // Text received so far for the answer being streamed
+    streamBuffer: '',
+    streamRenderScheduled: false,
+    scrollTop: 0,
+    view: view,
+    tab: createConversationTab(selection || text, actionTitle)
+  };
+
+  conversation.tab.querySelector('.tab-label').addEventListener('click', () => activateConversation(conversation));
+  conversation.tab.querySelector('.tab-close').addEventListener('click', () => closeConversation(conversation));
+  getPanelElement('gemini-tab-bar').appendChild(conversation.tab);
+
+  conversations.push(conversation);
+  return conversation;
+}
+
+/**
+ * Create the tab strip entry for a conversation
+ * @param {string} text - Selection or prompt, used as the tab label
+ * @param {string} [actionTitle] - Prompt action name, shown as a tooltip
+ * @returns {HTMLElement} - Tab element with label and close buttons
+ */
+function createConversationTab(text, actionTitle) {
+  const tab = document.createElement('div');
+  tab.className = 'conversation-tab';
+  tab.setAttribute('role', 'presentation');
+
+  const label = document.createElement('button');
+  label.className = 'tab-label';
+  label.textContent = text.replace(/\s+/g, ' ').trim().slice(0, 40);
+  label.title = actionTitle ? `${actionTitle}: ${text}` : text;
+  label.setAttribute('role', 'tab');
+  label.setAttribute('aria-selected', 'false');
+
+  const close = document.createElement('button');
+  close.className = 'tab-close';
+  close.textContent = '×';
+  close.title = 'Close tab';
+  close.setAttribute('aria-label', `Close tab: ${label.textContent}`);
+
+  tab.appendChild(label);
+  tab.appendChild(close);
+  return tab;
+}
+
+/**
+ * Show a conversation's tab and update the header and input for it
+ * @param {Object} conversation - Conversation to show
+ */
+function activateConversation(conversation) {
+  const contentDiv = getPanelElement('gemini-response-content');
+  if (activeConversation && activeConversation !== conversation) {
+    activeConversation.scrollTop = contentDiv.scrollTop;
   }
-  
-  // Format response with markdown processing
-  const formattedResponse = formatResponseText(response);
-  
-  const contentDiv = document.getElementById('gemini-response-content');
-  if (!contentDiv) {
-    console.error('Content div not found, recreating container');
-    responseContainer = createResponseContainer();
-    setTimeout(() => displayResponse(response), 100);
-    return;
+  activeConversation = conversation;
+
+  conversations.forEach(item => {
+    item.view.style.display = item === conversation ? 'block' : 'none';
+    item.tab.classList.toggle('active', item === conversation);
+    item.tab.querySelector('.tab-label').setAttribute('aria-selected', String(item === conversation));
+  });
+  contentDiv.scrollTop = conversation.scrollTop;
+
+  const panelTitle = getPanelElement('gemini-panel-title');
+  if (panelTitle) {
+    panelTitle.textContent = conversation.title;
   }
-  
-  // Show container if not visible
-  if (responseContainer.style.display !== 'block') {
-    responseContainer.style.display = 'block';
-    setTimeout(() => {
-      responseContainer.style.opacity = '1';
-      responseContainer.style.transform = 'scale(1)';
-    }, 10);
+  updateModelInfo();
+
+  const exportMenu = getPanelElement('gemini-export-menu');
+  if (exportMenu) {
+    exportMenu.style.display = 'none';
+    getPanelElement('gemini-export-button').setAttribute('aria-expanded', 'false');
   }
-  
-  // Add response with animation
-  contentDiv.innerHTML = `
-    <div style="animation: fadeIn 0.5s cubic-bezier(0.22, 1, 0.36, 1)">
-      <p>${formattedResponse}</p>
-    </div>`;
-  
-  // Scroll to top smoothly
-  contentDiv.scrollTo({ top: 0, behavior: 'smooth' });
+
+  updateTabBar();
+  updateConversationStatus(conversation);
 }
 
-// ===== INITIALIZATION =====
+/**
+ * Close a conversation's tab, cancelling its answer if still loading
+ * @param {Object} conversation - Conversation to close
+ * @param {boolean} [activateNext=true] - Switch to a neighboring tab if this one was shown
+ */
+function closeConversation(conversation, activateNext = true) {
+  const index = conversations.indexOf(conversation);
+  if (index === -1) return;
 
-// Create container immediately when script runs
-createResponseContainer();
+  cancelConversationRequest(conversation);
+  conversations.splice(index, 1);
+  conversation.view.remove();
+  conversation.tab.remove();
 
-// Also create on DOMContentLoaded (as a backup)
-if (document.readyState === 'loading') {
-  document.addEventListener('DOMContentLoaded', () => {
-    if (!responseContainer) {
-      createResponseContainer();
+  if (conversations.length === 0) {
+    activeConversation = null;
+    closeContainer();
+    return;
+  }
+
+  if (activeConversation === conversation) {
+    activeConversation = null;
+    if (activateNext) {
+      activateConversation(conversations[Math.min(index, conversations.length - 1)]);
     }
-  });
+  }
+  updateTabBar();
 }
 
-// Listen for system color scheme changes to update UI
-window.matchMedia('(prefers-color-scheme: dark)').addEventListener('change', () => {
-  if (responseContainer) {
-    document.body.removeChild(responseContainer);
-    responseContainer = null;
-    createResponseContainer();
-  }
-});
+/**
+ * Show the tab strip only when more than one conversation is open and the panel isn't minimized
+ */
+function updateTabBar() {
+  const tabBar = getPanelElement('gemini-tab-bar');
+  const content = getPanelElement('gemini-response-content');
+  if (!tabBar || !content) return;
+  tabBar.style.display = conversations.length > 1 && content.style.display !== 'none' ? 'flex' : 'none';
+}
+
+/**
+ * Reflect whether a conversation is waiting for an answer in its tab and, if
+ * it is the visible one, in the input and the header's model info
+ * @param {Object} conversation - Conversation whose state changed
+ */
+function updateConversationStatus(conversation) {
+  const pending = Boolean(conversation.requestId);
+  conversation.tab.classList.toggle('pending', pending);
+  if (conversation !== activeConversation) return;
+
+  setChatInputEnabled(!pending);
+  if (pending && !conversation.streamBuffer) {
+    startModelInfoAnimation();
+  } else {
+    stopModelInfoAnimation();
+  }
+}
+
+/**
+ * Send a follow-up question with the visible tab's conversation history
+ * @param {string} text - Question typed into the panel input
+ */
+function sendFollowUp(text) {
+  const conversation = activeConversation;
+  if (!conversation || conversation.requestId) return;
+  // An image can be sent without a question to have it described
+  const question = text.trim() || (conversation.image ? DEFAULT_IMAGE_QUESTION : '');
+  if (!question) return;
+
+  // A comparison carries on with the answer the user picks
+  if (conversation.comparison && !conversation.comparison.picked) {
+    showPanelNotice('Pick one of the answers to continue with it');
+    return;
+  }
+
+  // If the previous question failed it has no answer; fold the new one into it
+  // so providers still see alternating user/assistant turns
+  const messages = conversation.messages;
+  const lastMessage = messages[messages.length - 1];
+  if (conversation.page) {
+    conversation.page.question = [conversation.page.question, question].filter(Boolean).join('\n\n');
+    conversation.messages = [{ role: 'user', content: conversation.page.question }];
+  } else if (conversation.image) {
+    messages.push({ role: 'user', content: question, images: [conversation.image] });
+    conversation.image = null;
+  } else if (lastMessage && lastMessage.role === 'user') {
+    lastMessage.content += '\n\n' + question;
+  } else {
+    messages.push({ role: 'user', content: question });
+  }
+
+  const chatInput = getPanelElement('gemini-chat-input');
+  chatInput.value = '';
+  chatInput.style.height = 'auto';
+
+  conversation.requestId = createRequestId();
+  conversation.streamBuffer = '';
+  appendUserTurn(conversation, question);
+  appendAssistantTurn(conversation, FOLLOW_UP_LOADING_MARKUP);
+  const contentDiv = getPanelElement('gemini-response-content');
+  contentDiv.scrollTop = contentDiv.scrollHeight;
+  updateConversationStatus(conversation);
+
+  if (conversation.page) {
+    sendPageRequest(conversation);
+    return;
+  }
+  chrome.runtime.sendMessage({
+    action: "askFollowUp",
+    requestId: conversation.requestId,
+    messages: messages,
+    context: conversation.context
+  });
+}
+
+/**
+ * Ask again for the visible tab's latest answer, skipping the response cache
+ * The last answer is replaced in place; a failed one was never added to the conversation
+ */
+function regenerateResponse() {
+  const conversation = activeConversation;
+  if (!conversation || conversation.requestId) return;
+
+  const answerTurns = conversation.view.querySelectorAll('.assistant-turn');
+  const lastAnswer = answerTurns[answerTurns.length - 1];
+  if (!lastAnswer) return;
+
+  // Nothing was asked yet, e.g. when an image couldn't be downloaded
+  const messages = conversation.messages;
+  if (messages.length === 0) {
+    showPanelNotice('Nothing to regenerate yet');
+    return;
+  }
+  if (messages[messages.length - 1].role === 'assistant') {
+    messages.pop();
+  }
+
+  conversation.requestId = createRequestId();
+  conversation.streamBuffer = '';
+  lastAnswer.classList.add('pending');
+  lastAnswer.innerHTML = messages.length > 1 ? FOLLOW_UP_LOADING_MARKUP : INITIAL_LOADING_MARKUP;
+  updateConversationStatus(conversation);
+
+  if (conversation.page) {
+    sendPageRequest(conversation, true);
+    return;
+  }
+  chrome.runtime.sendMessage({
+    action: "askFollowUp",
+    requestId: conversation.requestId,
+    messages: messages,
+    context: conversation.context,
+    bypassCache: true
+  });
+}
+
+/**
+ * Add a user question bubble to a conversation's view
+ * @param {Object} conversation - Conversation to add to
+ * @param {string} text - Question text, shown as plain text
+ */
+function appendUserTurn(conversation, text) {
+  const turn = document.createElement('div');
+  turn.className = 'chat-turn user-turn';
+  turn.textContent = text;
+  conversation.view.appendChild(turn);
+}
+
+/**
+ * Add a collapsed view of the page context that was sent with the first prompt
+ * @param {Object} conversation - Conversation to add to
+ * @param {string} contextText - Context exactly as it was included in the prompt
+ */
+function appendPageContext(conversation, contextText) {
+  const details = document.createElement('details');
+  details.className = 'page-context';
+
+  const summary = document.createElement('summary');
+  summary.textContent = 'Page context sent';
+  const body = document.createElement('pre');
+  body.textContent = contextText;
+
+  details.appendChild(summary);
+  details.appendChild(body);
+  conversation.view.appendChild(details);
+}
+
+/**
+ * Add an assistant answer placeholder that streaming and the final response fill in
+ * @param {Object} conversation - Conversation to add to
+ * @param {string} loadingMarkup - Loading indicator shown until text arrives
+ * @returns {HTMLElement} - The pending answer element
+ */
+function appendAssistantTurn(conversation, loadingMarkup) {
+  const turn = document.createElement('div');
+  turn.className = 'chat-turn assistant-turn pending';
+  turn.innerHTML = loadingMarkup;
+  conversation.view.appendChild(turn);
+  return turn;
+}
+
+/**
+ * Get the answer element still waiting for a response, if any
+ * @param {Object} conversation - Conversation to look in
+ * @returns {HTMLElement|null} - Pending answer element
+ */
+function getPendingTurn(conversation) {
+  return conversation.view.querySelector('.assistant-turn.pending');
+}
+
+/**
+ * Put the pending answer back into its loading state after a failed attempt
+ * @param {Object} conversation - Conversation whose request is being retried
+ */
+function resetPendingTurn(conversation) {
+  conversation.streamBuffer = '';
+  const pendingTurn = getPendingTurn(conversation);
+  if (pendingTurn) {
+    pendingTurn.innerHTML = conversation.messages.length > 1 ? FOLLOW_UP_LOADING_MARKUP : INITIAL_LOADING_MARKUP;
+  }
+  updateConversationStatus(conversation);
+}
+
+/**
+ * Enable or disable the follow-up input while an answer is pending
+ * The send button turns into a Stop button meanwhile
+ * @param {boolean} enabled - Whether a question can be sent
+ */
+function setChatInputEnabled(enabled) {
+  const chatInput = getPanelElement('gemini-chat-input');
+  const sendButton = getPanelElement('gemini-chat-send');
+  if (!chatInput || !sendButton) return;
+
+  chatInput.disabled = !enabled;
+  sendButton.textContent = enabled ? 'Send' : 'Stop';
+  sendButton.title = enabled ? 'Send follow-up question' : 'Stop generating';
+  sendButton.style.backgroundColor = enabled ? 'var(--gemini-primary)' : 'var(--gemini-text-secondary)';
+}
+
+/**
+ * Stop a conversation's pending answer
+ * Text streamed so far stays visible, marked as cancelled; like a failed answer
+ * it is not added to the conversation history
+ * @param {Object} conversation - Conversation whose request to cancel
+ */
+function cancelConversationRequest(conversation) {
+  if (conversation.comparison) {
+    cancelComparison(conversation);
+  }
+  if (!conversation.requestId) return;
+
+  chrome.runtime.sendMessage({ action: "cancelRequest", requestId: conversation.requestId });
+  const partialText = conversation.streamBuffer;
+  conversation.requestId = null;
+  conversation.streamBuffer = '';
+
+  const pendingTurn = getPendingTurn(conversation);
+  if (pendingTurn) {
+    pendingTurn.classList.remove('pending');
+    showCancelledAnswer(pendingTurn, partialText);
+  }
+  updateConversationStatus(conversation);
+}
+
+/**
+ * Replace an answer that was stopped with its partial text and a "Cancelled" note
+ * @param {HTMLElement} element - Element holding the answer
+ * @param {string} partialText - Text streamed before it was stopped
+ */
+function showCancelledAnswer(element, partialText) {
+  const note = document.createElement('div');
+  note.className = 'cancelled-note';
+  note.textContent = 'Cancelled';
+
+  element.replaceChildren(note);
+  if (partialText) {
+    element.prepend(formatResponseText(partialText));
+  }
+}
+
+/**
+ * Show which provider and model wrote the visible tab's answer, or the configured model
+ * An answer from a fallback provider is marked as such
+ */
+function updateModelInfo() {
+  const modelInfo = getPanelElement('model-info');
+  if (!modelInfo) return;
+
+  const source = activeConversation?.source || {};
+  let text = configuredModelInfo;
+  modelInfo.title = '';
+  if (source.model) {
+    text = `${source.provider} · ${source.model}`;
+    if (source.fallbackFrom) {
+      text += ' (fallback)';
+      modelInfo.title = `${source.fallbackFrom} failed, so ${source.provider} answered instead`;
+    }
+  }
+
+  // While "Processing..." runs, update the text it restores afterwards
+  if (modelInfo.dataset.originalText) {
+    modelInfo.dataset.originalText = text;
+  } else {
+    modelInfo.textContent = text;
+  }
+}
+
+/**
+ * Replace the model name with an animated "Processing..." indicator
+ */
+function startModelInfoAnimation() {
+  const modelInfo = getPanelElement('model-info');
+  // Already animating, e.g. after switching between two loading tabs
+  if (!modelInfo || modelInfo.dataset.originalText) return;
+
+  const originalText = modelInfo.textContent;
+  let dots = 0;
+  modelInfo.dataset.originalText = originalText;
+  announceStatus('Processing your request');
+
+  // Animate the model info text
+  const modelLoadingAnimation = setInterval(() => {
+    dots = (dots + 1) % 4;
+    modelInfo.textContent = 'Processing' + '.'.repeat(dots);
+  }, 300);
+
+  // Store the interval ID to clear it later
+  modelInfo.dataset.animationId = modelLoadingAnimation;
+}
+
+/**
+ * Stop the "Processing..." animation and restore the model name
+ */
+function stopModelInfoAnimation() {
+  const modelInfo = getPanelElement('model-info');
+  if (modelInfo && modelInfo.dataset.originalText) {
+    clearInterval(modelInfo.dataset.animationId);
+    modelInfo.textContent = modelInfo.dataset.originalText;
+    delete modelInfo.dataset.originalText;
+    delete modelInfo.dataset.animationId;
+  }
+}
+
+/**
+ * Append a streamed chunk and schedule a re-render of the partial response
+ * Renders are batched per animation frame since chunks can arrive faster than paint
+ * @param {Object} conversation - Conversation the chunk belongs to
+ * @param {string} chunk - Newly received response text
+ */
+function appendStreamChunk(conversation, chunk) {
+  const firstChunk = !conversation.streamBuffer;
+  conversation.streamBuffer += chunk;
+  if (firstChunk) {
+    updateConversationStatus(conversation);
+  }
+
+  if (conversation.streamRenderScheduled) return;
+  conversation.streamRenderScheduled = true;
+  requestAnimationFrame(() => {
+    conversation.streamRenderScheduled = false;
+    renderStreamingResponse(conversation);
+  });
+}
+
+/**
+ * Render the text streamed so far into the pending answer, keeping the view
+ * pinned to the bottom unless the user has scrolled up to read
+ * @param {Object} conversation - Conversation being streamed into
+ */
+function renderStreamingResponse(conversation) {
+  const contentDiv = getPanelElement('gemini-response-content');
+  const pendingTurn = getPendingTurn(conversation);
+  if (!contentDiv || !pendingTurn || !conversation.streamBuffer) return;
+
+  const isVisible = conversation === activeConversation;
+  const nearBottom = contentDiv.scrollHeight - contentDiv.scrollTop - contentDiv.clientHeight < 40;
+  pendingTurn.replaceChildren(formatResponseText(conversation.streamBuffer, true));
+
+  if (isVisible && nearBottom) {
+    contentDiv.scrollTop = contentDiv.scrollHeight;
+  }
+}
+
+/**
+ * Display formatted AI response in a conversation
+ * @param {Object} conversation - Conversation the response answers
+ * @param {string} response - Raw response text
+ * @param {boolean} [isError=false] - Whether the response is an error message
+ * @param {Object} [source] - Provider and model that wrote the response, and the provider
+ *   it stood in for if it was a fallback
+ * @param {Object} [errorInfo] - For errors, their category and any Retry-After wait in ms
+ */
+function displayResponse(conversation, response, isError = false, source = {}, errorInfo = {}) {
+  // The final text replaces the streamed preview in place, so skip the entrance animation
+  const wasStreaming = conversation.streamBuffer.length > 0;
+  conversation.streamBuffer = '';
+  conversation.requestId = null;
+
+  // Format response with markdown processing; errors get a card instead
+  const formattedResponse = isError
+    ? createErrorCard(response, errorInfo.category, errorInfo.retryAfter)
+    : formatResponseText(response);
+
+  const contentDiv = getPanelElement('gemini-response-content');
+
+  // Show container if not visible
+  if (responseContainer.style.display !== 'flex') {
+    responseContainer.style.display = 'flex';
+    setTimeout(() => {
+      responseContainer.style.opacity = '1';
+      responseContainer.style.transform = 'scale(1)';
+    }, 10);
+  }
+
+  // Fill the pending answer
+  const answerTurn = getPendingTurn(conversation) || appendAssistantTurn(conversation, '');
+  answerTurn.classList.remove('pending');
+  const isFirstAnswer = answerTurn === conversation.view.querySelector('.assistant-turn');
+
+  // Failed answers stay visible but are not sent back as conversation history
+  if (!isError) {
+    conversation.messages.push({ role: 'assistant', content: response });
+    conversation.source = source;
+    if (conversation === activeConversation) {
+      updateModelInfo();
+    }
+  }
+  updateConversationStatus(conversation);
+
+  // Error cards announce themselves (role="alert")
+  if (!isError && conversation === activeConversation) {
+    announceStatus('Answer ready');
+  }
+
+  answerTurn.replaceChildren(formattedResponse);
+  if (wasStreaming || conversation !== activeConversation) {
+    return;
+  }
+
+  // Add response with animation
+  formattedResponse.style.animation = 'fadeIn 0.5s cubic-bezier(0.22, 1, 0.36, 1)';
+
+  // Scroll to the start of the new answer smoothly
+  contentDiv.scrollTo({ top: isFirstAnswer ? 0 : answerTurn.offsetTop - 12, behavior: 'smooth' });
+}
+
+/**
+ * Build the card shown in place of a failed answer
+ * @param {string} message - Error message from the background script
+ * @param {string} [category] - Error category; unknown ones get the generic card
+ * @param {number} [retryAfter] - Milliseconds the provider asked to wait, if any
+ * @param {Function|null} [onRetry=regenerateResponse] - Handler for "Try again"; null hides it
+ * @returns {HTMLElement} - Error card element
+ */
+function createErrorCard(message, category, retryAfter, onRetry = regenerateResponse) {
+  const card = ERROR_CARDS[category] || ERROR_CARDS.unknown;
+
+  const cardDiv = document.createElement('div');
+  cardDiv.className = 'error-card';
+  cardDiv.setAttribute('role', 'alert');
+
+  const title = document.createElement('div');
+  title.className = 'error-card-title';
+  title.textContent = `${card.icon} ${card.title}`;
+  cardDiv.appendChild(title);
+
+  const messageDiv = document.createElement('div');
+  messageDiv.className = 'error-card-message';
+  messageDiv.textContent = message;
+  cardDiv.appendChild(messageDiv);
+
+  if (retryAfter) {
+    const hint = document.createElement('div');
+    hint.className = 'error-card-hint';
+    hint.textContent = `The provider asked to wait ${Math.ceil(retryAfter / 1000)} seconds before trying again.`;
+    cardDiv.appendChild(hint);
+  }
+
+  if (card.action === 'settings') {
+    const settingsButton = document.createElement('button');
+    settingsButton.textContent = 'Open settings';
+    // Extension pages can only be opened from the background script
+    settingsButton.addEventListener('click', () => chrome.runtime.sendMessage({ action: "openSettings" }));
+    cardDiv.appendChild(settingsButton);
+  } else if (card.action === 'retry' && onRetry) {
+    const retryButton = document.createElement('button');
+    retryButton.textContent = 'Try again';
+    retryButton.addEventListener('click', onRetry);
+    cardDiv.appendChild(retryButton);
+  }
+
+  return cardDiv;
+}
+
+// ===== PAGE CONTEXT =====
+
+/**
+ * Collect the context of the current selection for the background script
+ * Headings run from the outermost section to the one nearest the selection;
+ * without a selection in this frame only the title and URL are known
+ * @returns {Object} - { title, url, headings, surrounding }
+ */
+function getPageContext() {
+  const context = { title: document.title, url: location.href, headings: [], surrounding: '' };
+  const selection = window.getSelection();
+  if (!selection || selection.rangeCount === 0 || selection.isCollapsed) {
+    return context;
+  }
+
+  const range = selection.getRangeAt(0);
+  const anchor = range.commonAncestorContainer;
+  const start = anchor.nodeType === Node.ELEMENT_NODE ? anchor : anchor.parentElement;
+  if (!start) {
+    return context;
+  }
+
+  // Widen a short paragraph or list item to the section it is in
+  let block = start.closest(CONTEXT_BLOCK_SELECTOR) || start;
+  while (block.innerText.length < MIN_SURROUNDING_CHARS &&
+      block.parentElement && block.parentElement !== document.body) {
+    block = block.parentElement.closest(CONTEXT_BLOCK_SELECTOR) || block.parentElement;
+  }
+  context.surrounding = getTextAround(block.innerText, selection.toString(), MAX_SURROUNDING_CHARS);
+
+  // Keep one heading per level, dropping deeper ones when a new section starts
+  const headings = [];
+  document.querySelectorAll('h1, h2, h3, h4, h5, h6').forEach(function(heading) {
+    if (!(heading.compareDocumentPosition(range.startContainer) & Node.DOCUMENT_POSITION_FOLLOWING)) return;
+    const text = heading.innerText.replace(/\s+/g, ' ').trim();
+    if (!text) return;
+
+    const level = Number(heading.tagName[1]);
+    while (headings.length && headings[headings.length - 1].level >= level) {
+      headings.pop();
+    }
+    headings.push({ level, text: text.slice(0, 200) });
+  });
+  context.headings = headings.map(heading => heading.text);
+
+  return context;
+}
+
+/**
+ * Cut a long text down to the part around the selection
+ * @param {string} text - Text containing the selection
+ * @param {string} selectionText - Selected text
+ * @param {number} maxLength - Most characters to keep
+ * @returns {string} - Text, or the part of it centred on the selection
+ */
+function getTextAround(text, selectionText, maxLength) {
+  if (text.length <= maxLength) {
+    return text;
+  }
+  const index = Math.max(text.indexOf(selectionText), 0);
+  const start = Math.max(0, Math.min(index + Math.floor((selectionText.length - maxLength) / 2), text.length - maxLength));
+  return text.slice(start, start + maxLength);
+}
+
+/**
+ * Start a whole-page conversation from the page's context menu
+ * A summary is requested right away; for questions the tab waits for the first one
+ * @param {string} task - 'summarize' or 'ask'
+ */
+function startPageTask(task) {
+  const pageTask = PAGE_TASKS[task];
+  if (!pageTask) return;
+
+  if (task === 'summarize') {
+    const conversation = showContainerWithLoading(createRequestId(), pageTask.prompt, pageTask.title, document.title);
+    conversation.page = { question: null };
+    sendPageRequest(conversation);
+    return;
+  }
+
+  showResponseContainer();
+  const conversation = openConversation(null, pageTask.prompt, pageTask.title, document.title);
+  conversation.messages = [];
+  conversation.page = { question: null };
+
+  const hint = document.createElement('p');
+  hint.className = 'page-hint';
+  hint.textContent = `Ask a question about "${document.title || location.hostname}". ` +
+    'Answers are based on the main text of the page.';
+  conversation.view.appendChild(hint);
+
+  activateConversation(conversation);
+  getPanelElement('gemini-chat-input').focus();
+}
+
+/**
+ * Open a tab for questions about an image the background script downloaded
+ * The image goes along with the first question; without one it is described
+ * @param {Object} message - { imageUrl, label, image } or { imageUrl, label, error }
+ */
+function startImageTask(message) {
+  showResponseContainer();
+  const conversation = openConversation(null, 'Ask about this image', 'Ask about image', message.label);
+  conversation.messages = [];
+  conversation.image = message.image || null;
+
+  const thumbnail = document.createElement('img');
+  thumbnail.className = 'image-thumbnail';
+  thumbnail.src = message.imageUrl;
+  thumbnail.alt = message.label;
+  conversation.view.appendChild(thumbnail);
+
+  if (message.error) {
+    const turn = appendAssistantTurn(conversation, '');
+    turn.classList.remove('pending');
+    turn.appendChild(createErrorCard(message.error, 'unknown', null, null));
+  } else {
+    const hint = document.createElement('p');
+    hint.className = 'page-hint';
+    hint.textContent = 'Type a question about the image, or press Send with the box empty for a description. ' +
+      'The model needs to support images.';
+    conversation.view.appendChild(hint);
+  }
+
+  activateConversation(conversation);
+  getPanelElement('gemini-chat-input').focus();
+}
+
+/**
+ * Read an image with the page's own access, for images whose site the extension
+ * may not download from; works for same-origin images and CORS-enabled CDNs
+ * @param {string} url - Image URL
+ * @returns {Promise<Object>} - { image: { mimeType, data } } with base64 data, or { error }
+ */
+async function readPageImage(url) {
+  try {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    const blob = await response.blob();
+    const dataUrl = await new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+    return { image: { mimeType: blob.type.split(';')[0], data: dataUrl.slice(dataUrl.indexOf(',') + 1) } };
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+/**
+ * Send a whole-page conversation's request with the page's current text
+ * @param {Object} conversation - Conversation with a page request
+ * @param {boolean} [bypassCache=false] - Skip the response cache for the answer
+ */
+function sendPageRequest(conversation, bypassCache = false) {
+  // The history keeps this instead of the prompt built from the page text
+  conversation.context.pageQuestion = conversation.messages[0].content;
+  chrome.runtime.sendMessage({
+    action: "askAboutPage",
+    requestId: conversation.requestId,
+    page: { ...getPageArticle(), question: conversation.page.question },
+    context: conversation.context,
+    bypassCache: bypassCache
+  });
+}
+
+/**
+ * Show which part of a long page is being read in the pending answer
+ * @param {Object} conversation - Conversation waiting for the answer
+ * @param {number} part - Part being read, from 1
+ * @param {number} parts - Number of parts
+ */
+function showPageProgress(conversation, part, parts) {
+  const turn = getPendingTurn(conversation);
+  if (!turn) return;
+
+  const progress = document.createElement('p');
+  progress.className = 'page-progress';
+  progress.textContent = `Reading part ${part} of ${parts} of the page…`;
+  turn.replaceChildren(progress);
+  turn.insertAdjacentHTML('beforeend', FOLLOW_UP_LOADING_MARKUP);
+}
+
+/**
+ * Read the main text of the page, leaving out navigation, ads and footers
+ * The text is split into sections at headings
+ * @returns {Object} - { title, url, sections: [{ heading, text }] }
+ */
+function getPageArticle() {
+  const root = findArticleRoot();
+  const sections = [];
+  let section = { heading: '', paragraphs: [] };
+  let length = 0;
+
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT, {
+    acceptNode(element) {
+      if (element.matches(NON_ARTICLE_SELECTOR) || !element.checkVisibility()) {
+        return NodeFilter.FILTER_REJECT;
+      }
+      // Only the innermost blocks, so nested lists and quotes aren't read twice
+      return element.matches(ARTICLE_BLOCK_SELECTOR) && !element.querySelector(ARTICLE_BLOCK_SELECTOR)
+        ? NodeFilter.FILTER_ACCEPT
+        : NodeFilter.FILTER_SKIP;
+    }
+  });
+
+  while (walker.nextNode() && length < MAX_ARTICLE_CHARS) {
+    const element = walker.currentNode;
+    const text = element.innerText.trim();
+    if (!text) continue;
+
+    if (/^H[1-6]$/.test(element.tagName)) {
+      if (section.paragraphs.length) sections.push(section);
+      section = { heading: text.replace(/\s+/g, ' ').slice(0, 200), paragraphs: [] };
+    } else {
+      section.paragraphs.push(text);
+      length += text.length;
+    }
+  }
+  if (section.paragraphs.length) sections.push(section);
+
+  // Pages that don't use paragraphs are read as a whole
+  if (length < MIN_ARTICLE_CHARS) {
+    const text = root.innerText.trim().slice(0, MAX_ARTICLE_CHARS);
+    return { title: document.title, url: location.href, sections: text ? [{ heading: '', text }] : [] };
+  }
+
+  return {
+    title: document.title,
+    url: location.href,
+    sections: sections.map(item => ({ heading: item.heading, text: item.paragraphs.join('\n\n') }))
+  };
+}
+
+/**
+ * Find the element holding the page's main content
+ * @returns {HTMLElement} - The longest article or main element, or the body if none has much text
+ */
+function findArticleRoot() {
+  let best = null;
+  let bestLength = 0;
+  document.querySelectorAll('article, main, [role="main"]').forEach(function(element) {
+    const length = element.innerText.length;
+    if (length > bestLength) {
+      best = element;
+      bestLength = length;
+    }
+  });
+  return bestLength >= MIN_ARTICLE_CHARS ? best : document.body;
+}
+
+// ===== MODEL COMPARISON =====
+
+/**
+ * Lay out one column per compared model in a conversation's view
+ * The conversation stays pending until every column has finished
+ * @param {Object} conversation - Conversation opened for the comparison
+ * @param {Array<Object>} columns - { requestId, providerId, provider, model } per column
+ */
+function startComparison(conversation, columns) {
+  const grid = document.createElement('div');
+  grid.className = 'compare-grid';
+
+  conversation.comparison = {
+    picked: false,
+    columns: columns.map(column => {
+      const element = document.createElement('div');
+      element.className = 'compare-column';
+
+      const header = document.createElement('div');
+      header.className = 'compare-header';
+      const source = document.createElement('span');
+      source.className = 'compare-source';
+      source.textContent = `${column.provider} · ${column.model}`;
+      source.title = source.textContent;
+      const latencyLabel = document.createElement('span');
+      latencyLabel.className = 'compare-latency';
+      header.appendChild(source);
+      header.appendChild(latencyLabel);
+
+      const body = document.createElement('div');
+      body.className = 'compare-body';
+      body.innerHTML = FOLLOW_UP_LOADING_MARKUP;
+
+      element.appendChild(header);
+      element.appendChild(body);
+      grid.appendChild(element);
+
+      return {
+        ...column,
+        pending: true,
+        response: null,
+        streamBuffer: '',
+        streamRenderScheduled: false,
+        element: element,
+        body: body,
+        latencyLabel: latencyLabel
+      };
+    })
+  };
+  conversation.view.appendChild(grid);
+
+  // Every model picked for comparison was removed from the settings since
+  if (columns.length === 0) {
+    conversation.requestId = null;
+    const turn = appendAssistantTurn(conversation, '');
+    turn.classList.remove('pending');
+    turn.appendChild(createErrorCard('None of the models picked for comparison are configured anymore.', 'config', null, null));
+  }
+}
+
+/**
+ * Find the comparison column still waiting for a request's answer
+ * @param {string} requestId - Request ID from the background script
+ * @returns {Object|null} - { conversation, column }, or null if no column matches
+ */
+function findComparisonColumn(requestId) {
+  for (const conversation of conversations) {
+    const column = conversation.comparison?.columns.find(item => item.requestId === requestId && item.pending);
+    if (column) {
+      return { conversation, column };
+    }
+  }
+  return null;
+}
+
+/**
+ * Apply a stream or response message to its comparison column
+ * @param {Object} conversation - Conversation holding the comparison
+ * @param {Object} column - Column the message belongs to
+ * @param {Object} message - Message from the background script
+ */
+function processComparisonMessage(conversation, column, message) {
+  if (message.action === "streamReset") {
+    column.streamBuffer = '';
+    column.body.innerHTML = FOLLOW_UP_LOADING_MARKUP;
+  }
+
+  if (message.action === "streamChunk") {
+    column.streamBuffer += message.chunk;
+    if (column.streamRenderScheduled) return;
+    column.streamRenderScheduled = true;
+    requestAnimationFrame(() => {
+      column.streamRenderScheduled = false;
+      if (column.pending && column.streamBuffer) {
+        column.body.replaceChildren(formatResponseText(column.streamBuffer, true));
+      }
+    });
+  }
+
+  if (message.action === "displayResponse") {
+    finishComparisonColumn(conversation, column, message);
+  }
+}
+
+/**
+ * Show a column's final answer or error, with its latency and a button to pick it
+ * @param {Object} conversation - Conversation holding the comparison
+ * @param {Object} column - Column that finished
+ * @param {Object} message - displayResponse message from the background script
+ */
+function finishComparisonColumn(conversation, column, message) {
+  column.pending = false;
+  column.streamBuffer = '';
+
+  if (message.isError) {
+    // Retrying a single column isn't supported; the whole comparison can be run again
+    column.body.replaceChildren(createErrorCard(message.response, message.errorCategory, message.retryAfter, null));
+  } else {
+    column.response = message.response;
+    column.body.replaceChildren(formatResponseText(message.response));
+    column.latencyLabel.textContent = `${(message.latency / 1000).toFixed(1)} s`;
+    column.latencyLabel.title = 'Time until the full answer arrived';
+
+    const pickButton = document.createElement('button');
+    pickButton.className = 'compare-pick';
+    pickButton.textContent = 'Use this answer';
+    pickButton.title = 'Continue with this answer and save it to the history';
+    pickButton.disabled = conversation.comparison.picked;
+    pickButton.addEventListener('click', () => pickComparisonAnswer(conversation, column));
+    column.element.appendChild(pickButton);
+  }
+
+  if (conversation.comparison.columns.every(item => !item.pending)) {
+    conversation.requestId = null;
+    updateConversationStatus(conversation);
+    if (conversation === activeConversation) {
+      announceStatus('All answers ready');
+    }
+  }
+}
+
+/**
+ * Keep one column's answer: it is saved to the history and follow-ups continue from it
+ * @param {Object} conversation - Conversation holding the comparison
+ * @param {Object} column - Column the user picked
+ */
+function pickComparisonAnswer(conversation, column) {
+  const comparison = conversation.comparison;
+  if (comparison.picked) return;
+  comparison.picked = true;
+
+  chrome.runtime.sendMessage({
+    action: "saveComparisonAnswer",
+    messages: conversation.messages,
+    response: column.response,
+    providerId: column.providerId,
+    model: column.model,
+    context: conversation.context
+  });
+
+  conversation.messages.push({ role: 'assistant', content: column.response });
+  conversation.source = { provider: column.provider, model: column.model };
+
+  comparison.columns.forEach(item => {
+    item.element.classList.toggle('picked', item === column);
+    const pickButton = item.element.querySelector('.compare-pick');
+    if (pickButton) {
+      pickButton.disabled = true;
+    }
+  });
+  column.element.querySelector('.compare-pick').textContent = '✓ Saved to history';
+
+  if (conversation === activeConversation) {
+    updateModelInfo();
+  }
+}
+
+/**
+ * Stop every column of a comparison that is still loading
+ * @param {Object} conversation - Conversation holding the comparison
+ */
+function cancelComparison(conversation) {
+  const pendingColumns = conversation.comparison.columns.filter(column => column.pending);
+  if (pendingColumns.length === 0) return;
+
+  pendingColumns.forEach(column => {
+    chrome.runtime.sendMessage({ action: "cancelRequest", requestId: column.requestId });
+    column.pending = false;
+    showCancelledAnswer(column.body, column.streamBuffer);
+    column.streamBuffer = '';
+  });
+
+  conversation.requestId = null;
+  updateConversationStatus(conversation);
+}
+
+// ===== EXPORT =====
+
+/**
+ * Show or hide the export menu below the header
+ */
+function toggleExportMenu() {
+  const exportMenu = getPanelElement('gemini-export-menu');
+  const exportButton = getPanelElement('gemini-export-button');
+  const contentDiv = getPanelElement('gemini-response-content');
+  if (exportMenu.style.display === 'none') {
+    exportMenu.style.top = `${contentDiv.offsetTop + 6}px`;
+    exportMenu.style.display = 'flex';
+    exportButton.setAttribute('aria-expanded', 'true');
+    exportMenu.querySelector('button').focus();
+  } else {
+    exportMenu.style.display = 'none';
+    exportButton.setAttribute('aria-expanded', 'false');
+  }
+}
+
+/**
+ * Copy or download the visible tab's conversation in the chosen format
+ * Runs synchronously so clipboard access stays within the click's user gesture
+ * @param {string} optionId - ID from EXPORT_OPTIONS
+ */
+function exportAnswer(optionId) {
+  const messages = activeConversation ? activeConversation.messages : [];
+  const answer = [...messages].reverse().find(message => message.role === 'assistant');
+  if (!answer) {
+    showPanelNotice('Nothing to export yet');
+    return;
+  }
+
+  try {
+    switch (optionId) {
+      case 'copy-markdown':
+        copyToClipboard({ 'text/plain': answer.content });
+        break;
+      case 'copy-text':
+        copyToClipboard({ 'text/plain': getPlainText(answer.content) });
+        break;
+      case 'copy-html':
+        copyToClipboard({
+          'text/html': formatResponseText(answer.content).outerHTML,
+          'text/plain': getPlainText(answer.content)
+        });
+        break;
+      case 'download-md':
+        downloadFile(buildMarkdownExport(getExportData(activeConversation)), 'md', 'text/markdown');
+        break;
+      case 'download-html':
+        downloadFile(buildHtmlExport(getExportData(activeConversation)), 'html', 'text/html');
+        break;
+      case 'download-json':
+        downloadFile(JSON.stringify(getExportData(activeConversation), null, 2), 'json', 'application/json');
+        break;
+    }
+    showPanelNotice(optionId.startsWith('copy') ? 'Copied to clipboard' : 'Download started');
+  } catch (error) {
+    console.error('Export failed:', error);
+    showPanelNotice(`Export failed: ${error.message}`);
+  }
+}
+
+/**
+ * Put text on the clipboard in one or more formats
+ * Uses the copy event so HTML can be copied on non-HTTPS pages as well
+ * @param {Object<string, string>} data - MIME type mapped to content
+ * @throws {Error} - If the browser refused to copy
+ */
+function copyToClipboard(data) {
+  const onCopy = (event) => {
+    Object.entries(data).forEach(([type, value]) => event.clipboardData.setData(type, value));
+    event.preventDefault();
+  };
+
+  document.addEventListener('copy', onCopy, true);
+  try {
+    if (!document.execCommand('copy')) {
+      throw new Error('Clipboard access was denied');
+    }
+  } finally {
+    document.removeEventListener('copy', onCopy, true);
+  }
+}
+
+/**
+ * Convert Markdown to plain text with the line breaks of its rendered form
+ * @param {string} text - Markdown text
+ * @returns {string} - Plain text
+ */
+function getPlainText(text) {
+  // innerText needs a laid-out element; render it off screen for a moment
+  const holder = formatResponseText(text);
+  holder.style.cssText = 'position: fixed; left: -10000px; top: 0; width: 600px;';
+  getPanelRoot().appendChild(holder);
+  const plainText = holder.innerText.trim();
+  holder.remove();
+  return plainText;
+}
+
+/**
+ * Collect a conversation and where it came from for a download
+ * @param {Object} conversation - Conversation to export
+ * @returns {Object} - Export data; this is also the JSON download format
+ */
+function getExportData(conversation) {
+  const messages = conversation.messages;
+  const answers = messages.filter(message => message.role === 'assistant');
+  return {
+    title: conversation.title,
+    selection: conversation.context.selection || '',
+    action: conversation.context.action || null,
+    prompt: messages[0] ? messages[0].content : '',
+    provider: conversation.source.provider || null,
+    model: conversation.source.model || null,
+    url: location.href,
+    pageTitle: document.title,
+    exportedAt: new Date().toISOString(),
+    answer: answers.length ? answers[answers.length - 1].content : '',
+    messages: messages
+  };
+}
+
+/**
+ * Build a Markdown document from export data
+ * @param {Object} data - Result of getExportData
+ * @returns {string} - Markdown text
+ */
+function buildMarkdownExport(data) {
+  const quote = text => text.split('\n').map(line => `> ${line}`).join('\n');
+  const lines = [
+    `# ${data.title}`,
+    '',
+    `- **Source:** [${(data.pageTitle || data.url).replace(/[[\]\\]/g, '\\$&')}](<${data.url}>)`,
+    `- **Provider:** ${data.provider || 'Unknown'}`,
+    `- **Model:** ${data.model || 'Unknown'}`,
+    `- **Exported:** ${data.exportedAt}`,
+    '',
+    '## Selection',
+    '',
+    quote(data.selection),
+    '',
+    '## Prompt',
+    '',
+    quote(data.prompt)
+  ];
+
+  data.messages.slice(1).forEach(message => {
+    lines.push('', message.role === 'assistant' ? '## Answer' : '## Follow-up', '', message.content);
+  });
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Build a standalone HTML page from export data
+ * @param {Object} data - Result of getExportData
+ * @returns {string} - HTML document
+ */
+function buildHtmlExport(data) {
+  const exportDoc = document.implementation.createHTMLDocument(data.title);
+  const charset = exportDoc.createElement('meta');
+  charset.setAttribute('charset', 'utf-8');
+  exportDoc.head.prepend(charset);
+
+  const style = exportDoc.createElement('style');
+  style.textContent = `
+    body { font-family: system-ui, sans-serif; max-width: 760px; margin: 40px auto; padding: 0 20px; line-height: 1.6; color: #202124; }
+    dt { font-weight: 600; }
+    dd { margin: 0 0 8px; }
+    blockquote { margin: 0; padding: 4px 14px; border-left: 3px solid #82b1ff; color: #5f6368; white-space: pre-wrap; }
+    pre { background: #f8f9fa; padding: 14px; border-radius: 8px; overflow-x: auto; }
+    code { font-family: 'SFMono-Regular', Consolas, monospace; }
+    table { border-collapse: collapse; }
+    th, td { border: 1px solid #dadce0; padding: 6px 10px; }
+  `;
+  exportDoc.head.appendChild(style);
+
+  const append = (parent, tagName, text) => {
+    const element = exportDoc.createElement(tagName);
+    if (text !== undefined) element.textContent = text;
+    parent.appendChild(element);
+    return element;
+  };
+
+  append(exportDoc.body, 'h1', data.title);
+
+  const details = append(exportDoc.body, 'dl');
+  append(details, 'dt', 'Source');
+  const sourceLink = append(append(details, 'dd'), 'a', data.pageTitle || data.url);
+  sourceLink.href = data.url;
+  [['Provider', data.provider], ['Model', data.model], ['Exported', data.exportedAt]].forEach(([label, value]) => {
+    append(details, 'dt', label);
+    append(details, 'dd', value || 'Unknown');
+  });
+
+  append(exportDoc.body, 'h2', 'Selection');
+  append(exportDoc.body, 'blockquote', data.selection);
+  append(exportDoc.body, 'h2', 'Prompt');
+  append(exportDoc.body, 'blockquote', data.prompt);
+
+  data.messages.slice(1).forEach(message => {
+    if (message.role === 'assistant') {
+      append(exportDoc.body, 'h2', 'Answer');
+      exportDoc.body.appendChild(exportDoc.importNode(formatResponseText(message.content), true));
+    } else {
+      append(exportDoc.body, 'h2', 'Follow-up');
+      append(exportDoc.body, 'blockquote', message.content);
+    }
+  });
+
+  return '<!DOCTYPE html>\n' + exportDoc.documentElement.outerHTML;
+}
+
+/**
+ * Save text as a file through a temporary download link
+ * @param {string} content - File content
+ * @param {string} extension - File extension without the dot
+ * @param {string} mimeType - MIME type of the content
+ */
+function downloadFile(content, extension, mimeType) {
+  const url = URL.createObjectURL(new Blob([content], { type: `${mimeType};charset=utf-8` }));
+  const timestamp = new Date().toISOString().slice(0, 16).replace(/[:T]/g, '-');
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `chat-with-cat-${timestamp}.${extension}`;
+  getPanelRoot().appendChild(link);
+  link.click();
+  link.remove();
+
+  // The download has started by the time the click returns; free the blob shortly after
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Show a short message at the bottom of the panel, or of the window while the panel is closed
+ * @param {string} text - Message to show
+ */
+function showPanelNotice(text) {
+  if (!responseContainer) return;
+
+  const notice = document.createElement('div');
+  notice.className = 'panel-notice';
+  notice.setAttribute('role', 'status');
+  notice.textContent = text;
+  if (responseContainer.style.display === 'flex') {
+    responseContainer.appendChild(notice);
+  } else {
+    notice.classList.add('detached');
+    getPanelRoot().appendChild(notice);
+  }
+  setTimeout(() => notice.remove(), 2000);
+}
+
+/**
+ * Get the selected text, including a selection inside a text field
+ * @returns {string} - Selected text, or an empty string
+ */
+function getSelectedText() {
+  const field = document.activeElement;
+  if (field && (field.tagName === 'TEXTAREA' || field.tagName === 'INPUT') &&
+      typeof field.selectionStart === 'number' && field.selectionStart !== field.selectionEnd) {
+    return field.value.slice(field.selectionStart, field.selectionEnd);
+  }
+  return window.getSelection().toString();
+}
+
+/**
+ * Read the configured provider's model for the header
+ */
+function loadConfiguredModelInfo() {
+  chrome.storage.local.get(['apiConfig', 'activeProvider'], function(data) {
+    if (data.activeProvider && data.apiConfig?.[data.activeProvider]?.selectedModel) {
+      configuredModelInfo = data.apiConfig[data.activeProvider].selectedModel;
+    } else {
+      configuredModelInfo = 'No model selected';
+    }
+    updateModelInfo();
+  });
+}
+
+/**
+ * Bring the panel back for the reopen shortcut
+ * An open panel is expanded if minimized; a closed one reopens with the latest
+ * answer from the history, which can be continued like any conversation
+ */
+function reopenPanel() {
+  if (conversations.length > 0) {
+    if (getPanelElement('gemini-response-content').style.display === 'none') {
+      toggleMinimize();
+    }
+    return;
+  }
+
+  chrome.storage.local.get([HISTORY_STORAGE_KEY], function(data) {
+    const entry = (data[HISTORY_STORAGE_KEY] || [])[0];
+    if (!entry) {
+      showPanelNotice('No answers to reopen yet');
+      return;
+    }
+    restoreConversation(entry);
+  });
+}
+
+/**
+ * Open a history entry in a new panel tab, shown like it was when answered
+ * @param {Object} entry - History entry saved by the background script
+ */
+function restoreConversation(entry) {
+  showResponseContainer();
+  const messages = entry.messages.map(message => ({ role: message.role, content: message.content }));
+  const conversation = openConversation(null, messages[0].content, entry.action, entry.selection);
+  conversation.messages = messages;
+  conversation.source = { provider: entry.providerName || entry.provider, model: entry.model };
+  // Follow-ups update the entry instead of adding another
+  conversation.context.historyId = entry.id;
+
+  // As in a new panel, the first prompt isn't shown; only the answers and follow-ups
+  messages.slice(1).forEach(function(message) {
+    if (message.role === 'user') {
+      appendUserTurn(conversation, message.content);
+    } else {
+      const turn = appendAssistantTurn(conversation, '');
+      turn.classList.remove('pending');
+      turn.replaceChildren(formatResponseText(message.content));
+    }
+  });
+
+  activateConversation(conversation);
+}
+
+// ===== APPEARANCE =====
+
+/**
+ * Apply the theme, accent color, font size and density to the panel
+ * Only CSS variables change, so an open answer stays as it is
+ */
+function applyAppearance() {
+  const root = getPanelRoot();
+  panelHost.dataset.theme = appearance.theme;
+
+  let style = root.getElementById('gemini-appearance');
+  if (!style) {
+    style = document.createElement('style');
+    style.id = 'gemini-appearance';
+    root.appendChild(style);
+  }
+
+  const variables = [
+    `--gemini-font-size: ${Number(appearance.fontSize) || DEFAULT_APPEARANCE.fontSize}px;`,
+    `--gemini-density: ${DENSITY_SCALES[appearance.density] || 1};`
+  ];
+  const accent = parseHexColor(appearance.accentColor);
+  if (accent) {
+    variables.push(
+      `--gemini-primary: ${appearance.accentColor};`,
+      `--gemini-primary-light: ${mixColors(accent, [255, 255, 255], 0.35)};`,
+      `--gemini-primary-dark: ${mixColors(accent, [0, 0, 0], 0.2)};`,
+      `--gemini-primary-rgb: ${accent.join(', ')};`,
+      `--gemini-hover: rgba(${accent.join(', ')}, 0.1);`
+    );
+  }
+
+  // Same specificity as the theme rules, which this follows, so it wins over them
+  style.textContent = `:host([data-theme]) { ${variables.join(' ')} }`;
+}
+
+/**
+ * Parse a #rrggbb color
+ * @param {string|null} color - Color from the setup page
+ * @returns {Array<number>|null} - Red, green and blue, or null if not a valid color
+ */
+function parseHexColor(color) {
+  const match = /^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(color || '');
+  return match ? match.slice(1).map(part => parseInt(part, 16)) : null;
+}
+
+/**
+ * Blend a color toward another, e.g. white for a lighter shade
+ * @param {Array<number>} color - Red, green and blue
+ * @param {Array<number>} target - Color to blend toward
+ * @param {number} amount - Share of the target, from 0 to 1
+ * @returns {string} - CSS rgb() color
+ */
+function mixColors(color, target, amount) {
+  const mixed = color.map((value, i) => Math.round(value + (target[i] - value) * amount));
+  return `rgb(${mixed.join(', ')})`;
+}
+
+/**
+ * Load the appearance chosen on the setup page
+ */
+function loadAppearance() {
+  chrome.storage.local.get(APPEARANCE_STORAGE_KEY, function(data) {
+    appearance = { ...DEFAULT_APPEARANCE, ...data[APPEARANCE_STORAGE_KEY] };
+    applyAppearance();
+  });
+}
+
+// ===== INITIALIZATION =====
+
+// Create container immediately when script runs
+createResponseContainer();
+
+// Restore where the panel was left on this site, and how it looks
+loadPanelLayout();
+loadAppearance();
+
+// Keep the header's model current when the provider changes, e.g. with the shortcut,
+// and the panel's options, layout and appearance when they change on the setup page or
+// another tab
+chrome.storage.onChanged.addListener(function(changes, areaName) {
+  if (areaName !== 'local') return;
+
+  if (changes.apiConfig || changes.activeProvider) {
+    loadConfiguredModelInfo();
+  }
+  if (changes[PANEL_SETTINGS_STORAGE_KEY]) {
+    panelSettings = changes[PANEL_SETTINGS_STORAGE_KEY].newValue || {};
+  }
+  if (changes[PANEL_LAYOUTS_STORAGE_KEY]) {
+    const layouts = changes[PANEL_LAYOUTS_STORAGE_KEY].newValue || {};
+    panelLayout = layouts[getLayoutKey()] || null;
+    applyPanelLayout();
+  }
+  if (changes[APPEARANCE_STORAGE_KEY]) {
+    appearance = { ...DEFAULT_APPEARANCE, ...changes[APPEARANCE_STORAGE_KEY].newValue };
+    applyAppearance();
+    // Padding and font size change the panel's height
+    applyPanelLayout();
+  }
+});
+
+// Keep the panel inside the window, and on the edges it is docked to
+window.addEventListener('resize', applyPanelLayout);
+
+// Navigating away cancels answers that are still loading
+window.addEventListener('pagehide', () => {
+  conversations.forEach(cancelConversationRequest);
+});
+
+// Also create on DOMContentLoaded (as a backup)
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', () => {
+    if (!responseContainer) {
+      createResponseContainer();
+    }
+  });
+}
 
 // Log initialization
 console.log('Chat With Cat content script loaded');
\ No newline at end of file
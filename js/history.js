@@ -0,0 +1,279 @@
+/**
+ * History Page for Chat With Cat
+ *
+ * This script handles the history page functionality including:
+ * - Listing saved queries, newest first
+ * - Full-text search and filters by site, provider and date
+ * - Showing the full conversation of an entry, rendered as Markdown
+ * - Reopening the page a query came from and deleting entries
+ */
+
+// Storage key written by the background script
+const HISTORY_STORAGE_KEY = 'history';
+
+/**
+ * Gets the host name of a page URL for the site filter
+ * @param {string} url - Page URL
+ * @returns {string} - Host name, or an empty string for missing/invalid URLs
+ */
+function getSiteName(url) {
+  try {
+    return new URL(url).hostname;
+  } catch (error) {
+    return '';
+  }
+}
+
+/**
+ * Shortens text to one line for the entry summary
+ * @param {string} text - Text to shorten
+ * @param {number} maxLength - Maximum number of characters
+ * @returns {string} - Shortened text
+ */
+function truncate(text, maxLength) {
+  const singleLine = text.replace(/\s+/g, ' ').trim();
+  return singleLine.length > maxLength ? singleLine.slice(0, maxLength - 1) + '…' : singleLine;
+}
+
+document.addEventListener('DOMContentLoaded', function() {
+  // ===== DOM ELEMENTS =====
+  const searchInput = document.getElementById('search-input');
+  const siteFilter = document.getElementById('site-filter');
+  const providerFilter = document.getElementById('provider-filter');
+  const dateFromInput = document.getElementById('date-from');
+  const dateToInput = document.getElementById('date-to');
+  const historyCount = document.getElementById('history-count');
+  const clearHistoryBtn = document.getElementById('clear-history-btn');
+  const historyList = document.getElementById('history-list');
+  const emptyState = document.getElementById('empty-state');
+
+  // Entries as last loaded from storage, and the ones whose details are open
+  let history = [];
+  const expandedIds = new Set();
+
+  /**
+   * Fills a filter select with the given values, keeping the current choice if still present
+   * @param {HTMLSelectElement} select - Filter select
+   * @param {Array<{value: string, label: string}>} options - Options after the "All" entry
+   */
+  function fillFilterOptions(select, options) {
+    const current = select.value;
+    while (select.options.length > 1) {
+      select.remove(1);
+    }
+    options.forEach(function(option) {
+      select.add(new Option(option.label, option.value));
+    });
+    select.value = options.some(option => option.value === current) ? current : '';
+  }
+
+  /**
+   * Rebuilds the site and provider filters from the loaded entries
+   */
+  function updateFilters() {
+    const sites = new Set();
+    const providers = new Map();
+    history.forEach(function(entry) {
+      const site = getSiteName(entry.pageUrl);
+      if (site) sites.add(site);
+      providers.set(entry.provider, entry.providerName || entry.provider);
+    });
+
+    fillFilterOptions(siteFilter, Array.from(sites).sort().map(site => ({ value: site, label: site })));
+    fillFilterOptions(providerFilter, Array.from(providers, ([value, label]) => ({ value, label }))
+      .sort((a, b) => a.label.localeCompare(b.label)));
+  }
+
+  /**
+   * Returns the entries matching the search text and filters
+   * @returns {Array<Object>} - Matching entries, newest first
+   */
+  function getFilteredHistory() {
+    const terms = searchInput.value.toLowerCase().split(/\s+/).filter(Boolean);
+    const site = siteFilter.value;
+    const provider = providerFilter.value;
+    // Date inputs are in local time; "to" includes the whole day
+    const from = dateFromInput.value ? new Date(`${dateFromInput.value}T00:00:00`).getTime() : -Infinity;
+    const to = dateToInput.value ? new Date(`${dateToInput.value}T23:59:59.999`).getTime() : Infinity;
+
+    return history.filter(function(entry) {
+      if (site && getSiteName(entry.pageUrl) !== site) return false;
+      if (provider && entry.provider !== provider) return false;
+      if (entry.timestamp < from || entry.timestamp > to) return false;
+      if (terms.length === 0) return true;
+
+      const searchable = [
+        entry.selection,
+        entry.action,
+        entry.pageTitle,
+        entry.pageUrl,
+        entry.model,
+        ...(entry.messages || []).map(message => message.content)
+      ].join('\n').toLowerCase();
+      return terms.every(term => searchable.includes(term));
+    });
+  }
+
+  /**
+   * Renders the list of matching entries
+   */
+  function renderHistory() {
+    const entries = getFilteredHistory();
+    historyList.textContent = '';
+
+    historyCount.textContent = entries.length === history.length
+      ? `${history.length} saved ${history.length === 1 ? 'query' : 'queries'}`
+      : `Showing ${entries.length} of ${history.length} saved queries`;
+    clearHistoryBtn.disabled = history.length === 0;
+
+    if (entries.length === 0) {
+      emptyState.textContent = history.length === 0
+        ? 'No history yet. Answers appear here after you ask about some selected text.'
+        : 'No entries match your search.';
+      emptyState.style.display = 'block';
+      return;
+    }
+    emptyState.style.display = 'none';
+
+    entries.forEach(function(entry) {
+      historyList.appendChild(createHistoryItem(entry));
+    });
+  }
+
+  /**
+   * Creates the list item for one entry
+   * @param {Object} entry - History entry
+   * @returns {HTMLElement} - List item with a summary button and, if open, the conversation
+   */
+  function createHistoryItem(entry) {
+    const item = document.createElement('li');
+    item.className = 'history-item';
+
+    const summary = document.createElement('button');
+    summary.className = 'history-summary';
+    summary.setAttribute('aria-expanded', String(expandedIds.has(entry.id)));
+
+    const title = document.createElement('span');
+    title.className = 'history-title';
+    const label = entry.action ? `${entry.action}: ` : '';
+    title.textContent = label + truncate(entry.selection || entry.question || '', 120);
+
+    const meta = document.createElement('span');
+    meta.className = 'history-meta';
+    meta.textContent = [
+      new Date(entry.timestamp).toLocaleString(),
+      getSiteName(entry.pageUrl) || entry.pageTitle,
+      `${entry.providerName || entry.provider} · ${entry.model}`
+    ].filter(Boolean).join(' — ');
+
+    summary.appendChild(title);
+    summary.appendChild(meta);
+    summary.addEventListener('click', function() {
+      if (expandedIds.has(entry.id)) {
+        expandedIds.delete(entry.id);
+      } else {
+        expandedIds.add(entry.id);
+      }
+      item.replaceWith(createHistoryItem(entry));
+    });
+    item.appendChild(summary);
+
+    if (expandedIds.has(entry.id)) {
+      item.appendChild(createHistoryDetails(entry));
+    }
+    return item;
+  }
+
+  /**
+   * Creates the expanded view of an entry: its conversation and actions
+   * @param {Object} entry - History entry
+   * @returns {HTMLElement} - Details element
+   */
+  function createHistoryDetails(entry) {
+    const details = document.createElement('div');
+    details.className = 'history-details';
+
+    (entry.messages || []).forEach(function(message) {
+      const turn = document.createElement('div');
+      if (message.role === 'user') {
+        turn.className = 'history-turn user-turn';
+        turn.textContent = message.content;
+      } else {
+        turn.className = 'history-turn markdown-body';
+        try {
+          turn.appendChild(renderSanitizedMarkdown(message.content));
+        } catch (error) {
+          // Still show the entry if the renderer fails on it
+          console.warn('Could not render the answer as Markdown:', error);
+          turn.textContent = message.content;
+          turn.style.whiteSpace = 'pre-wrap';
+        }
+      }
+      details.appendChild(turn);
+    });
+
+    const actions = document.createElement('div');
+    actions.className = 'history-actions';
+
+    if (entry.pageUrl) {
+      const reopenBtn = document.createElement('button');
+      reopenBtn.textContent = 'Reopen Page';
+      reopenBtn.title = entry.pageTitle || entry.pageUrl;
+      reopenBtn.addEventListener('click', function() {
+        chrome.tabs.create({ url: entry.pageUrl });
+      });
+      actions.appendChild(reopenBtn);
+    }
+
+    const deleteBtn = document.createElement('button');
+    deleteBtn.textContent = 'Delete';
+    deleteBtn.addEventListener('click', function() {
+      deleteEntry(entry.id);
+    });
+    actions.appendChild(deleteBtn);
+
+    details.appendChild(actions);
+    return details;
+  }
+
+  /**
+   * Removes one entry from the stored history
+   * The background script writes the history, so the deletion is queued there with its saves
+   * @param {string} id - Entry ID
+   */
+  function deleteEntry(id) {
+    expandedIds.delete(id);
+    chrome.runtime.sendMessage({ action: 'deleteHistoryEntry', id: id });
+  }
+
+  clearHistoryBtn.addEventListener('click', function() {
+    if (!confirm('Delete all saved queries? This cannot be undone.')) return;
+    expandedIds.clear();
+    chrome.runtime.sendMessage({ action: 'clearHistory' });
+  });
+
+  [searchInput, siteFilter, providerFilter, dateFromInput, dateToInput].forEach(function(input) {
+    input.addEventListener('input', renderHistory);
+  });
+
+  // ===== INITIALIZATION =====
+
+  /**
+   * Load the history and keep the list current as new answers arrive
+   */
+  function loadHistory() {
+    chrome.storage.local.get([HISTORY_STORAGE_KEY], function(data) {
+      history = data[HISTORY_STORAGE_KEY] || [];
+      updateFilters();
+      renderHistory();
+    });
+  }
+
+  chrome.storage.onChanged.addListener(function(changes, areaName) {
+    if (areaName === 'local' && changes[HISTORY_STORAGE_KEY]) {
+      loadHistory();
+    }
+  });
+
+  loadHistory();
+});
@@ -0,0 +1,1024 @@
+/**
+ * Markdown Renderer for Chat With Cat
+ *
+ * Converts model output into DOM nodes. Loaded before content.js (and by
+ * extension pages) and exposes renderMarkdown(). It covers:
+ * - CommonMark blocks: headings, paragraphs, block quotes, nested lists,
+ *   fenced and indented code, thematic breaks, link reference definitions
+ * - CommonMark inlines: emphasis, code spans, links, images, autolinks,
+ *   backslash escapes, entities and hard line breaks
+ * - GFM extensions: tables, task lists, strikethrough and bare URL autolinks
+ *
+ * Raw HTML is never interpreted; it is rendered as literal text.
+ */
+
+// ===== BLOCK PATTERNS =====
+
+const FENCE_OPEN = /^( {0,3})(`{3,}|~{3,})[ \t]*([^\s`]*)[^`]*$/;
+const ATX_HEADING = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/;
+const THEMATIC_BREAK = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+const SETEXT_UNDERLINE = /^ {0,3}(=+|-+)[ \t]*$/;
+const BLOCKQUOTE_MARKER = /^ {0,3}> ?/;
+const LIST_ITEM = /^( {0,3})([-+*]|\d{1,9}[.)])(?:([ \t]+)(.*))?$/;
+const TABLE_DELIMITER = /^ {0,3}\|?[ \t]*:?-+:?[ \t]*(?:\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/;
+const LINK_REFERENCE = /^ {0,3}\[([^\]]+)\]:[ \t]*<?([^\s>]+)>?(?:[ \t]+(?:"([^"]*)"|'([^']*)'|\(([^)]*)\)))?[ \t]*$/;
+const TASK_MARKER = /^\[([ xX])\](?:[ \t]+|$)/;
+
+// Block quotes and list items nested deeper than this are read as paragraph text,
+// so a few kilobytes of "> > > ..." can't overflow the stack
+const MAX_NESTING = 100;
+
+// Characters a backslash can escape (ASCII punctuation)
+const ESCAPABLE = '!"#$%&\'()*+,-./:;<=>?@[\\]^_`{|}~';
+
+// Named entities commonly found in model output; numeric ones are decoded generically
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  copy: '©', reg: '®', trade: '™', hellip: '…', mdash: '—', ndash: '–',
+  lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', times: '×', divide: '÷',
+  rarr: '→', larr: '←', le: '≤', ge: '≥', ne: '≠', deg: '°', middot: '·'
+};
+
+/**
+ * Renders Markdown text into a document fragment
+ * @param {string} text - Markdown source, typically an AI response
+ * @param {Document} [doc=document] - Document used to create the nodes
+ * @returns {DocumentFragment} - Rendered content
+ */
+function renderMarkdown(text, doc = document) {
+  const references = {};
+  const lines = String(text || '').replace(/\r\n?/g, '\n').split('\n');
+  const blocks = parseBlocks(lines, references);
+
+  const fragment = doc.createDocumentFragment();
+  blocks.forEach(block => fragment.appendChild(buildBlock(block, references, doc, false)));
+  return fragment;
+}
+
+// ===== BLOCK PARSING =====
+
+/**
+ * Checks whether a line contains only whitespace
+ * @param {string} line - Line to check
+ * @returns {boolean} - True for blank lines
+ */
+function isBlankLine(line) {
+  return /^[ \t]*$/.test(line);
+}
+
+/**
+ * Measures a line's leading indentation, counting tabs to the next multiple of 4
+ * @param {string} line - Line to measure
+ * @returns {number} - Indentation in columns
+ */
+function getIndent(line) {
+  let columns = 0;
+  for (const char of line) {
+    if (char === ' ') columns++;
+    else if (char === '\t') columns += 4 - (columns % 4);
+    else break;
+  }
+  return columns;
+}
+
+/**
+ * Removes up to a number of columns of leading indentation
+ * @param {string} line - Line to outdent
+ * @param {number} columns - Columns to remove
+ * @returns {string} - Outdented line
+ */
+function stripIndent(line, columns) {
+  let removed = 0;
+  let index = 0;
+  while (removed < columns && index < line.length) {
+    const char = line[index];
+    if (char === ' ') {
+      removed++;
+    } else if (char === '\t') {
+      const width = 4 - (removed % 4);
+      if (removed + width > columns) {
+        // Partially consumed tab: keep the remainder as spaces
+        return ' '.repeat(removed + width - columns) + line.slice(index + 1);
+      }
+      removed += width;
+    } else {
+      break;
+    }
+    index++;
+  }
+  return line.slice(index);
+}
+
+/**
+ * Checks whether a line starts a block that can interrupt a paragraph
+ * @param {string} line - Line to check
+ * @returns {boolean} - True if the paragraph ends before this line
+ */
+function interruptsParagraph(line) {
+  if (FENCE_OPEN.test(line) || ATX_HEADING.test(line) || THEMATIC_BREAK.test(line) || BLOCKQUOTE_MARKER.test(line)) {
+    return true;
+  }
+  const item = line.match(LIST_ITEM);
+  if (item && item[4] && item[4].trim()) {
+    // Ordered lists only interrupt a paragraph when they start at 1
+    return !/^\d/.test(item[2]) || parseInt(item[2], 10) === 1;
+  }
+  return false;
+}
+
+/**
+ * Splits a table row into trimmed cell sources, honouring escaped pipes
+ * @param {string} line - Table row line
+ * @returns {Array<string>} - Cell contents
+ */
+function splitTableRow(line) {
+  let row = line.trim();
+  if (row.startsWith('|')) row = row.slice(1);
+  if (row.endsWith('|') && !row.endsWith('\\|')) row = row.slice(0, -1);
+
+  const cells = [];
+  let current = '';
+  let inCode = false;
+  for (let i = 0; i < row.length; i++) {
+    const char = row[i];
+    if (char === '\\' && row[i + 1] === '|') {
+      current += '|';
+      i++;
+    } else if (char === '`') {
+      inCode = !inCode;
+      current += char;
+    } else if (char === '|' && !inCode) {
+      cells.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  cells.push(current.trim());
+  return cells;
+}
+
+/**
+ * Parses lines into a list of block nodes
+ * @param {Array<string>} lines - Source lines
+ * @param {Object} references - Link reference definitions, filled in as found
+ * @param {number} [depth=0] - Number of block quotes and list items around the lines
+ * @returns {Array<Object>} - Block nodes
+ */
+function parseBlocks(lines, references, depth = 0) {
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (isBlankLine(line)) {
+      i++;
+      continue;
+    }
+
+    // Fenced code block
+    const fence = line.match(FENCE_OPEN);
+    if (fence) {
+      const indent = fence[1].length;
+      const marker = fence[2];
+      const codeLines = [];
+      i++;
+      while (i < lines.length) {
+        const closing = lines[i].match(/^ {0,3}(`{3,}|~{3,})[ \t]*$/);
+        if (closing && closing[1][0] === marker[0] && closing[1].length >= marker.length) {
+          i++;
+          break;
+        }
+        codeLines.push(stripIndent(lines[i], indent));
+        i++;
+      }
+      blocks.push({ type: 'code', language: fence[3] || '', text: codeLines.join('\n') });
+      continue;
+    }
+
+    // Indented code block
+    if (getIndent(line) >= 4) {
+      const codeLines = [];
+      while (i < lines.length && (getIndent(lines[i]) >= 4 || isBlankLine(lines[i]))) {
+        codeLines.push(stripIndent(lines[i], 4));
+        i++;
+      }
+      while (codeLines.length && isBlankLine(codeLines[codeLines.length - 1])) {
+        codeLines.pop();
+      }
+      blocks.push({ type: 'code', language: '', text: codeLines.join('\n') });
+      continue;
+    }
+
+    // ATX heading
+    const heading = line.match(ATX_HEADING);
+    if (heading) {
+      blocks.push({ type: 'heading', level: heading[1].length, text: (heading[2] || '').trim() });
+      i++;
+      continue;
+    }
+
+    // Thematic break (checked before lists so "* * *" isn't a list item)
+    if (THEMATIC_BREAK.test(line)) {
+      blocks.push({ type: 'hr' });
+      i++;
+      continue;
+    }
+
+    // Block quote: marked lines plus lazy paragraph continuation lines
+    if (depth < MAX_NESTING && BLOCKQUOTE_MARKER.test(line)) {
+      const quoteLines = [];
+      while (i < lines.length) {
+        if (BLOCKQUOTE_MARKER.test(lines[i])) {
+          quoteLines.push(lines[i].replace(BLOCKQUOTE_MARKER, ''));
+        } else if (!isBlankLine(lines[i]) && quoteLines.length &&
+                   !isBlankLine(quoteLines[quoteLines.length - 1]) && !interruptsParagraph(lines[i])) {
+          quoteLines.push(lines[i]);
+        } else {
+          break;
+        }
+        i++;
+      }
+      blocks.push({ type: 'blockquote', children: parseBlocks(quoteLines, references, depth + 1) });
+      continue;
+    }
+
+    // List
+    if (depth < MAX_NESTING && LIST_ITEM.test(line)) {
+      i = parseList(lines, i, blocks, references, depth);
+      continue;
+    }
+
+    // GFM table: header row followed by a delimiter row with the same cell count
+    if (line.includes('|') && i + 1 < lines.length && TABLE_DELIMITER.test(lines[i + 1])) {
+      const header = splitTableRow(line);
+      const delimiters = splitTableRow(lines[i + 1]);
+      if (header.length === delimiters.length) {
+        const align = delimiters.map(cell => {
+          const left = cell.startsWith(':');
+          const right = cell.endsWith(':');
+          return left && right ? 'center' : right ? 'right' : left ? 'left' : null;
+        });
+        const rows = [];
+        i += 2;
+        while (i < lines.length && !isBlankLine(lines[i]) && !interruptsParagraph(lines[i])) {
+          const cells = splitTableRow(lines[i]);
+          // Rows are padded or truncated to the header's width
+          rows.push(header.map((_, index) => cells[index] || ''));
+          i++;
+        }
+        blocks.push({ type: 'table', align, header, rows });
+        continue;
+      }
+    }
+
+    // Link reference definition
+    const reference = line.match(LINK_REFERENCE);
+    if (reference) {
+      const label = normalizeLabel(reference[1]);
+      if (!(label in references)) {
+        references[label] = {
+          href: reference[2],
+          title: reference[3] ?? reference[4] ?? reference[5] ?? ''
+        };
+      }
+      i++;
+      continue;
+    }
+
+    // Paragraph, possibly turned into a setext heading by an underline
+    const paragraphLines = [line];
+    i++;
+    let setextLevel = 0;
+    while (i < lines.length && !isBlankLine(lines[i])) {
+      const underline = lines[i].match(SETEXT_UNDERLINE);
+      if (underline) {
+        setextLevel = underline[1][0] === '=' ? 1 : 2;
+        i++;
+        break;
+      }
+      if (interruptsParagraph(lines[i])) break;
+      if (lines[i].includes('|') && i + 1 < lines.length && TABLE_DELIMITER.test(lines[i + 1])) break;
+      paragraphLines.push(lines[i]);
+      i++;
+    }
+
+    const paragraphText = paragraphLines.map(text => text.replace(/^[ \t]+/, '')).join('\n');
+    if (setextLevel) {
+      blocks.push({ type: 'heading', level: setextLevel, text: paragraphText.trim() });
+    } else {
+      blocks.push({ type: 'paragraph', text: paragraphText });
+    }
+  }
+
+  return blocks;
+}
+
+/**
+ * Parses a list starting at the given line and appends it to the blocks
+ * @param {Array<string>} lines - Source lines
+ * @param {number} start - Index of the first list item line
+ * @param {Array<Object>} blocks - Block list to append the list node to
+ * @param {Object} references - Link reference definitions
+ * @param {number} depth - Nesting depth of the list, as for parseBlocks
+ * @returns {number} - Index of the first line after the list
+ */
+function parseList(lines, start, blocks, references, depth) {
+  const first = lines[start].match(LIST_ITEM);
+  const ordered = /^\d/.test(first[2]);
+  const markerChar = first[2].slice(-1);
+  const list = {
+    type: 'list',
+    ordered,
+    start: ordered ? parseInt(first[2], 10) : 1,
+    loose: false,
+    items: []
+  };
+
+  let i = start;
+  let previousBlank = false;
+
+  while (i < lines.length) {
+    const match = lines[i].match(LIST_ITEM);
+    if (!match || match[2].slice(-1) !== markerChar || /^\d/.test(match[2]) !== ordered) break;
+    if (THEMATIC_BREAK.test(lines[i])) break;
+
+    if (previousBlank && list.items.length) {
+      list.loose = true;
+    }
+
+    // Content starts after the marker and its spacing; more than 4 spaces means
+    // the content is indented code, so only one space belongs to the marker
+    const markerIndent = match[1].length;
+    let spacing = 0;
+    let column = markerIndent + match[2].length;
+    for (const char of match[3] || '') {
+      const width = char === '\t' ? 4 - (column % 4) : 1;
+      column += width;
+      spacing += width;
+    }
+    const contentOffset = markerIndent + match[2].length + (spacing > 4 || !match[4] ? 1 : spacing);
+    const firstContent = match[4] ? (spacing > 4 ? ' '.repeat(spacing - 1) : '') + match[4] : '';
+
+    const itemLines = [firstContent];
+    i++;
+    previousBlank = false;
+
+    while (i < lines.length) {
+      const current = lines[i];
+      if (isBlankLine(current)) {
+        itemLines.push('');
+        previousBlank = true;
+        i++;
+        continue;
+      }
+
+      const indent = getIndent(current);
+      if (indent >= contentOffset) {
+        itemLines.push(stripIndent(current, contentOffset));
+      } else if (LIST_ITEM.test(current) && indent > markerIndent && !previousBlank) {
+        // Leniently nest sub-lists indented less than the content offset,
+        // as models often write "1. item" followed by "  - sub item"
+        itemLines.push(stripIndent(current, indent));
+      } else if (!previousBlank && !LIST_ITEM.test(current) && !interruptsParagraph(current)) {
+        // Lazy paragraph continuation
+        itemLines.push(current);
+      } else {
+        break;
+      }
+      previousBlank = false;
+      i++;
+    }
+
+    // Trailing blank lines belong between items, not inside the last one
+    while (itemLines.length > 1 && itemLines[itemLines.length - 1] === '') {
+      itemLines.pop();
+    }
+
+    // Blank lines between an item's own blocks also make the list loose
+    const innerBlank = itemLines.findIndex((text, index) => text === '' && index > 0 && index < itemLines.length - 1);
+    if (innerBlank !== -1 && !isIndentedSublist(itemLines, innerBlank)) {
+      list.loose = true;
+    }
+
+    let task = null;
+    const taskMatch = itemLines[0].match(TASK_MARKER);
+    if (taskMatch) {
+      task = taskMatch[1] !== ' ';
+      itemLines[0] = itemLines[0].slice(taskMatch[0].length);
+    }
+
+    list.items.push({ task, children: parseBlocks(itemLines, references, depth + 1) });
+
+    // A blank line followed by something that isn't another item ends the list
+    if (previousBlank && (i >= lines.length || !LIST_ITEM.test(lines[i]))) break;
+  }
+
+  blocks.push(list);
+  return i;
+}
+
+/**
+ * Checks whether a blank line inside an item only separates items of a nested
+ * list, which makes that nested list loose but not the outer one
+ * @param {Array<string>} itemLines - The item's content lines
+ * @param {number} blankIndex - Index of the blank line
+ * @returns {boolean} - True if the blank line sits inside a nested list
+ */
+function isIndentedSublist(itemLines, blankIndex) {
+  const before = itemLines.slice(0, blankIndex).reverse().find(text => text !== '');
+  const after = itemLines[blankIndex + 1];
+  return Boolean(before && after && LIST_ITEM.test(after) && /^\s/.test(before) && /^\s/.test(after));
+}
+
+/**
+ * Normalizes a link label for reference lookup (case- and whitespace-insensitive)
+ * @param {string} label - Label text
+ * @returns {string} - Normalized label
+ */
+function normalizeLabel(label) {
+  return label.trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+// ===== INLINE PARSING =====
+
+/**
+ * Checks for Unicode whitespace (or the start/end of the text)
+ * @param {string|undefined} char - Character to check
+ * @returns {boolean} - True for whitespace or undefined
+ */
+function isWhitespaceChar(char) {
+  return char === undefined || /\s/.test(char);
+}
+
+/**
+ * Checks for ASCII or Unicode punctuation
+ * @param {string|undefined} char - Character to check
+ * @returns {boolean} - True for punctuation
+ */
+function isPunctuationChar(char) {
+  return char !== undefined && /[\p{P}\p{S}]/u.test(char);
+}
+
+/**
+ * Decodes an HTML entity reference
+ * @param {string} entity - Entity body without "&" and ";"
+ * @returns {string|null} - Decoded character, or null if unknown
+ */
+function decodeEntity(entity) {
+  if (entity[0] === '#') {
+    const codePoint = entity[1] === 'x' || entity[1] === 'X'
+      ? parseInt(entity.slice(2), 16)
+      : parseInt(entity.slice(1), 10);
+    if (!Number.isFinite(codePoint) || codePoint > 0x10ffff) return null;
+    return String.fromCodePoint(codePoint || 0xfffd);
+  }
+  return NAMED_ENTITIES[entity] ?? null;
+}
+
+/**
+ * Finds the "]" matching a "[" while skipping code spans and escapes
+ * @param {string} text - Inline source
+ * @param {number} open - Index of the opening bracket
+ * @returns {number} - Index of the closing bracket, or -1
+ */
+function findClosingBracket(text, open) {
+  let depth = 0;
+  for (let i = open; i < text.length; i++) {
+    const char = text[i];
+    if (char === '\\') {
+      i++;
+    } else if (char === '`') {
+      const run = text.slice(i).match(/^`+/)[0];
+      const close = text.indexOf(run, i + run.length);
+      if (close !== -1) i = close + run.length - 1;
+    } else if (char === '[') {
+      depth++;
+    } else if (char === ']') {
+      depth--;
+      if (depth === 0) return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Parses an inline link destination and optional title after "]("
+ * @param {string} text - Inline source
+ * @param {number} start - Index just after the "("
+ * @returns {Object|null} - { href, title, end } where end is past the ")"
+ */
+function parseLinkDestination(text, start) {
+  const match = text.slice(start).match(
+    /^[ \t\n]*(?:<([^<>\n]*)>|((?:[^\s()\\]|\\.|\((?:[^\s()\\]|\\.)*\))*))(?:[ \t\n]+(?:"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'|\(((?:[^()\\]|\\.)*)\)))?[ \t\n]*\)/
+  );
+  if (!match) return null;
+  return {
+    href: unescapeText(match[1] ?? match[2] ?? ''),
+    title: unescapeText(match[3] ?? match[4] ?? match[5] ?? ''),
+    end: start + match[0].length
+  };
+}
+
+/**
+ * Resolves backslash escapes and entities in link destinations and titles
+ * @param {string} text - Raw text
+ * @returns {string} - Unescaped text
+ */
+function unescapeText(text) {
+  return text
+    .replace(/\\([!-/:-@[-`{-~])/g, '$1')
+    .replace(/&(#[xX]?[0-9a-fA-F]+|[a-zA-Z]+);/g, (match, entity) => decodeEntity(entity) ?? match);
+}
+
+/**
+ * Finds the length of a bare URL (GFM autolink extension) at a position
+ * Trailing punctuation and unbalanced closing parentheses are left out
+ * @param {string} text - Inline source
+ * @param {number} start - Position where the URL would begin
+ * @returns {number} - Length of the URL, or 0 if there is none
+ */
+function matchBareUrl(text, start) {
+  const match = text.slice(start).match(/^(?:https?:\/\/|www\.)[^\s<]*/i);
+  if (!match) return 0;
+
+  let url = match[0];
+  while (/[?!.,:*_~'"]$/.test(url) ||
+         (url.endsWith(')') && (url.match(/\(/g) || []).length < (url.match(/\)/g) || []).length)) {
+    url = url.slice(0, -1);
+  }
+  // Require at least one dot in the domain part
+  const domain = url.replace(/^(?:https?:\/\/)/i, '').split(/[/?#]/)[0];
+  return domain.includes('.') ? url.length : 0;
+}
+
+/**
+ * Parses inline Markdown into a tree of inline nodes
+ * @param {string} text - Inline source
+ * @param {Object} references - Link reference definitions
+ * @returns {Array<Object>} - Inline nodes
+ */
+function parseInlines(text, references) {
+  const tokens = [];
+  let buffer = '';
+
+  const flush = () => {
+    if (buffer) {
+      tokens.push({ type: 'text', value: buffer });
+      buffer = '';
+    }
+  };
+
+  let i = 0;
+  while (i < text.length) {
+    const char = text[i];
+
+    // Backslash escapes and backslash hard breaks
+    if (char === '\\') {
+      const next = text[i + 1];
+      if (next === '\n') {
+        flush();
+        tokens.push({ type: 'break' });
+        i += 2;
+        continue;
+      }
+      if (next !== undefined && ESCAPABLE.includes(next)) {
+        buffer += next;
+        i += 2;
+        continue;
+      }
+      buffer += char;
+      i++;
+      continue;
+    }
+
+    // Code spans
+    if (char === '`') {
+      const run = text.slice(i).match(/^`+/)[0];
+      let search = i + run.length;
+      let close = -1;
+      while ((close = text.indexOf(run, search)) !== -1) {
+        // The closing run must be exactly as long as the opening one
+        if (text[close + run.length] !== '`' && text[close - 1] !== '`') break;
+        search = close + 1;
+        while (text[search] === '`') search++;
+      }
+      if (close === -1) {
+        buffer += run;
+        i += run.length;
+        continue;
+      }
+      let code = text.slice(i + run.length, close).replace(/\n/g, ' ');
+      if (code.length > 2 && code.startsWith(' ') && code.endsWith(' ') && code.trim()) {
+        code = code.slice(1, -1);
+      }
+      flush();
+      tokens.push({ type: 'code', value: code });
+      i = close + run.length;
+      continue;
+    }
+
+    // Images and links
+    if (char === '[' || (char === '!' && text[i + 1] === '[')) {
+      const isImage = char === '!';
+      const open = isImage ? i + 1 : i;
+      const close = findClosingBracket(text, open);
+      if (close !== -1) {
+        const label = text.slice(open + 1, close);
+        let target = null;
+        let end = close + 1;
+
+        if (text[close + 1] === '(') {
+          const destination = parseLinkDestination(text, close + 2);
+          if (destination) {
+            target = destination;
+            end = destination.end;
+          }
+        }
+
+        if (!target) {
+          // Full [text][label], collapsed [label][] and shortcut [label] references
+          const refMatch = text.slice(close + 1).match(/^\[([^\]]*)\]/);
+          const refLabel = refMatch && refMatch[1].trim() ? refMatch[1] : label;
+          const definition = references[normalizeLabel(refLabel)];
+          if (definition) {
+            target = definition;
+            end = close + 1 + (refMatch ? refMatch[0].length : 0);
+          }
+        }
+
+        if (target) {
+          flush();
+          if (isImage) {
+            tokens.push({ type: 'image', src: target.href, title: target.title, alt: plainText(parseInlines(label, references)) });
+          } else {
+            tokens.push({ type: 'link', href: target.href, title: target.title, children: parseInlines(label, references) });
+          }
+          i = end;
+          continue;
+        }
+      }
+      buffer += char;
+      i++;
+      continue;
+    }
+
+    // Autolinks in angle brackets; any other "<" is literal text
+    if (char === '<') {
+      const autolink = text.slice(i).match(/^<([a-zA-Z][a-zA-Z0-9+.-]{1,31}:[^\s<>]*)>/);
+      const email = text.slice(i).match(/^<([a-zA-Z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*)>/);
+      if (autolink || email) {
+        flush();
+        const target = (autolink || email)[1];
+        tokens.push({
+          type: 'link',
+          href: autolink ? target : `mailto:${target}`,
+          title: '',
+          children: [{ type: 'text', value: target }]
+        });
+        i += (autolink || email)[0].length;
+        continue;
+      }
+    }
+
+    // Bare URLs, only at the start of a word
+    if ((char === 'h' || char === 'H' || char === 'w' || char === 'W') &&
+        (i === 0 || /[\s*_~(]/.test(text[i - 1]))) {
+      const length = matchBareUrl(text, i);
+      if (length) {
+        const url = text.slice(i, i + length);
+        flush();
+        tokens.push({
+          type: 'link',
+          href: /^www\./i.test(url) ? `http://${url}` : url,
+          title: '',
+          children: [{ type: 'text', value: url }]
+        });
+        i += length;
+        continue;
+      }
+    }
+
+    // Entity references
+    if (char === '&') {
+      const entity = text.slice(i).match(/^&(#[xX][0-9a-fA-F]{1,6}|#[0-9]{1,7}|[a-zA-Z][a-zA-Z0-9]{1,31});/);
+      const decoded = entity && decodeEntity(entity[1]);
+      if (decoded !== null && entity) {
+        buffer += decoded;
+        i += entity[0].length;
+        continue;
+      }
+    }
+
+    // Line breaks: two or more trailing spaces make a hard break, otherwise soft
+    if (char === '\n') {
+      const hard = / {2,}$/.test(buffer);
+      buffer = buffer.replace(/[ \t]+$/, '');
+      flush();
+      tokens.push({ type: hard ? 'break' : 'softbreak' });
+      i++;
+      while (text[i] === ' ' || text[i] === '\t') i++;
+      continue;
+    }
+
+    // Emphasis and strikethrough delimiter runs
+    if (char === '*' || char === '_' || char === '~') {
+      const run = text.slice(i).match(char === '*' ? /^\*+/ : char === '_' ? /^_+/ : /^~+/)[0];
+      const before = text[i - 1];
+      const after = text[i + run.length];
+      const leftFlanking = !isWhitespaceChar(after) &&
+        (!isPunctuationChar(after) || isWhitespaceChar(before) || isPunctuationChar(before));
+      const rightFlanking = !isWhitespaceChar(before) &&
+        (!isPunctuationChar(before) || isWhitespaceChar(after) || isPunctuationChar(after));
+
+      let canOpen = leftFlanking;
+      let canClose = rightFlanking;
+      if (char === '_') {
+        // Underscores don't emphasize inside words (snake_case_names)
+        canOpen = leftFlanking && (!rightFlanking || isPunctuationChar(before));
+        canClose = rightFlanking && (!leftFlanking || isPunctuationChar(after));
+      }
+      if (char === '~' && run.length > 2) {
+        canOpen = false;
+        canClose = false;
+      }
+
+      flush();
+      tokens.push({ type: 'delimiter', char, count: run.length, originalCount: run.length, canOpen, canClose });
+      i += run.length;
+      continue;
+    }
+
+    buffer += char;
+    i++;
+  }
+
+  flush();
+  return resolveDelimiters(processEmphasis(tokens));
+}
+
+/**
+ * Matches emphasis delimiter runs into em, strong and del nodes
+ * Follows the CommonMark "process emphasis" algorithm, including the rule of 3
+ * @param {Array<Object>} tokens - Inline tokens including delimiter runs
+ * @returns {Array<Object>} - Tokens with matched runs replaced by nodes
+ */
+function processEmphasis(tokens) {
+  let i = 0;
+  while (i < tokens.length) {
+    const closer = tokens[i];
+    if (closer.type !== 'delimiter' || !closer.canClose || closer.count === 0) {
+      i++;
+      continue;
+    }
+
+    let openerIndex = -1;
+    for (let j = i - 1; j >= 0; j--) {
+      const opener = tokens[j];
+      if (opener.type !== 'delimiter' || opener.char !== closer.char || !opener.canOpen || opener.count === 0) {
+        continue;
+      }
+      if (closer.char === '~') {
+        if (opener.count !== closer.count) continue;
+      } else if ((opener.canClose || closer.canOpen) &&
+                 (opener.originalCount + closer.originalCount) % 3 === 0 &&
+                 !(opener.originalCount % 3 === 0 && closer.originalCount % 3 === 0)) {
+        continue;
+      }
+      openerIndex = j;
+      break;
+    }
+
+    if (openerIndex === -1) {
+      i++;
+      continue;
+    }
+
+    const opener = tokens[openerIndex];
+    const used = closer.char === '~' ? closer.count : (opener.count >= 2 && closer.count >= 2 ? 2 : 1);
+    const type = closer.char === '~' ? 'del' : used === 2 ? 'strong' : 'em';
+    const node = { type, children: tokens.slice(openerIndex + 1, i) };
+
+    opener.count -= used;
+    closer.count -= used;
+    tokens.splice(openerIndex + 1, i - openerIndex - 1, node);
+
+    // tokens: [..., opener, node, closer, ...]
+    let closerIndex = openerIndex + 2;
+    if (opener.count === 0) {
+      tokens.splice(openerIndex, 1);
+      closerIndex--;
+    }
+    if (closer.count === 0) {
+      tokens.splice(closerIndex, 1);
+      i = closerIndex;
+    } else {
+      i = closerIndex;
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Turns unmatched delimiter runs back into literal text, recursively
+ * @param {Array<Object>} tokens - Inline nodes
+ * @returns {Array<Object>} - Inline nodes without delimiter tokens
+ */
+function resolveDelimiters(tokens) {
+  return tokens
+    .filter(token => token.type !== 'delimiter' || token.count > 0)
+    .map(token => {
+      if (token.type === 'delimiter') {
+        return { type: 'text', value: token.char.repeat(token.count) };
+      }
+      if (token.children && token.type !== 'link') {
+        return { ...token, children: resolveDelimiters(token.children) };
+      }
+      return token;
+    });
+}
+
+/**
+ * Flattens inline nodes into their plain text (used for image alt text)
+ * @param {Array<Object>} nodes - Inline nodes
+ * @returns {string} - Text content
+ */
+function plainText(nodes) {
+  return nodes.map(node => {
+    if (node.type === 'text' || node.type === 'code') return node.value;
+    if (node.type === 'image') return node.alt;
+    if (node.type === 'break' || node.type === 'softbreak') return ' ';
+    return node.children ? plainText(node.children) : '';
+  }).join('');
+}
+
+// ===== DOM BUILDING =====
+
+/**
+ * Creates the DOM for a block node
+ * @param {Object} block - Block node from parseBlocks
+ * @param {Object} references - Link reference definitions
+ * @param {Document} doc - Document used to create the nodes
+ * @param {boolean} tight - Whether paragraphs belong to a tight list item
+ * @returns {Node} - Rendered node
+ */
+function buildBlock(block, references, doc, tight) {
+  switch (block.type) {
+    case 'heading': {
+      const heading = doc.createElement(`h${block.level}`);
+      appendInlines(heading, parseInlines(block.text, references), doc);
+      return heading;
+    }
+
+    case 'paragraph': {
+      // Paragraphs in tight list items render without <p> wrappers
+      const container = tight ? doc.createDocumentFragment() : doc.createElement('p');
+      appendInlines(container, parseInlines(block.text, references), doc);
+      return container;
+    }
+
+    case 'code': {
+      const pre = doc.createElement('pre');
+      const code = doc.createElement('code');
+      if (block.language) {
+        code.className = `language-${block.language}`;
+        pre.dataset.language = block.language;
+      }
+      code.textContent = block.text;
+      pre.appendChild(code);
+      return pre;
+    }
+
+    case 'blockquote': {
+      const quote = doc.createElement('blockquote');
+      block.children.forEach(child => quote.appendChild(buildBlock(child, references, doc, false)));
+      return quote;
+    }
+
+    case 'hr':
+      return doc.createElement('hr');
+
+    case 'list': {
+      const list = doc.createElement(block.ordered ? 'ol' : 'ul');
+      if (block.ordered && block.start !== 1) {
+        list.setAttribute('start', String(block.start));
+      }
+      if (block.items.some(item => item.task !== null)) {
+        list.className = 'contains-task-list';
+      }
+      block.items.forEach(item => {
+        const li = doc.createElement('li');
+        if (item.task !== null) {
+          li.className = 'task-list-item';
+          const checkbox = doc.createElement('input');
+          checkbox.type = 'checkbox';
+          checkbox.disabled = true;
+          checkbox.defaultChecked = item.task;
+          li.appendChild(checkbox);
+          li.appendChild(doc.createTextNode(' '));
+        }
+        item.children.forEach(child => li.appendChild(buildBlock(child, references, doc, !block.loose)));
+        list.appendChild(li);
+      });
+      return list;
+    }
+
+    case 'table': {
+      const table = doc.createElement('table');
+      const thead = doc.createElement('thead');
+      const headerRow = doc.createElement('tr');
+      block.header.forEach((cell, index) => {
+        headerRow.appendChild(buildTableCell('th', cell, block.align[index], references, doc));
+      });
+      thead.appendChild(headerRow);
+      table.appendChild(thead);
+
+      if (block.rows.length) {
+        const tbody = doc.createElement('tbody');
+        block.rows.forEach(row => {
+          const tr = doc.createElement('tr');
+          row.forEach((cell, index) => {
+            tr.appendChild(buildTableCell('td', cell, block.align[index], references, doc));
+          });
+          tbody.appendChild(tr);
+        });
+        table.appendChild(tbody);
+      }
+      return table;
+    }
+
+    default:
+      return doc.createTextNode('');
+  }
+}
+
+/**
+ * Creates a table cell with alignment
+ * @param {string} tagName - "th" or "td"
+ * @param {string} source - Cell Markdown
+ * @param {string|null} align - Column alignment
+ * @param {Object} references - Link reference definitions
+ * @param {Document} doc - Document used to create the nodes
+ * @returns {HTMLElement} - Cell element
+ */
+function buildTableCell(tagName, source, align, references, doc) {
+  const cell = doc.createElement(tagName);
+  if (align) {
+    cell.setAttribute('align', align);
+  }
+  appendInlines(cell, parseInlines(source, references), doc);
+  return cell;
+}
+
+/**
+ * Appends the DOM for inline nodes to a parent
+ * @param {Node} parent - Element or fragment to append to
+ * @param {Array<Object>} nodes - Inline nodes
+ * @param {Document} doc - Document used to create the nodes
+ */
+function appendInlines(parent, nodes, doc) {
+  nodes.forEach(node => {
+    switch (node.type) {
+      case 'text':
+        parent.appendChild(doc.createTextNode(node.value));
+        break;
+      case 'softbreak':
+        parent.appendChild(doc.createTextNode('\n'));
+        break;
+      case 'break':
+        parent.appendChild(doc.createElement('br'));
+        break;
+      case 'code': {
+        const code = doc.createElement('code');
+        code.textContent = node.value;
+        parent.appendChild(code);
+        break;
+      }
+      case 'em':
+      case 'strong':
+      case 'del': {
+        const element = doc.createElement(node.type);
+        appendInlines(element, node.children, doc);
+        parent.appendChild(element);
+        break;
+      }
+      case 'link': {
+        const link = doc.createElement('a');
+        link.setAttribute('href', node.href);
+        if (node.title) link.title = node.title;
+        appendInlines(link, node.children, doc);
+        parent.appendChild(link);
+        break;
+      }
+      case 'image': {
+        const image = doc.createElement('img');
+        image.setAttribute('src', node.src);
+        image.alt = node.alt;
+        if (node.title) image.title = node.title;
+        parent.appendChild(image);
+        break;
+      }
+    }
+  });
+}
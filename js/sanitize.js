@@ -0,0 +1,211 @@
+/**
+ * Output Sanitizer for Chat With Cat
+ *
+ * Model output can carry markup planted in the page text it was asked about,
+ * so every rendered response passes through sanitizeNode() before it is
+ * attached to the page. Loaded before content.js (and by extension pages).
+ * - Only allowlisted elements survive; unknown elements are unwrapped and
+ *   dangerous ones (script, style, iframe, ...) are dropped with their content
+ * - Only allowlisted attributes survive, per element
+ * - URLs are limited to safe protocols; anything else is removed
+ * - Links open in a new tab with rel="noopener noreferrer"
+ * - Images are turned into links so a response cannot load remote URLs on its own
+ *
+ * renderSanitizedMarkdown() combines this with markdown.js: the Markdown is built
+ * in an inert document, where images are never fetched, and only imported into
+ * the page once it is clean.
+ */
+
+// Elements allowed in rendered output, with the attributes each may keep
+const ALLOWED_ELEMENTS = {
+  div: ['class'],
+  p: [],
+  br: [],
+  hr: [],
+  h1: [], h2: [], h3: [], h4: [], h5: [], h6: [],
+  strong: [],
+  em: [],
+  del: [],
+  code: ['class'],
+  pre: ['data-language'],
+  blockquote: [],
+  ul: ['class'],
+  ol: ['start'],
+  li: ['class'],
+  input: ['type', 'checked', 'disabled'],
+  table: [],
+  thead: [],
+  tbody: [],
+  tr: [],
+  th: ['align'],
+  td: ['align'],
+  a: ['href', 'title'],
+  img: ['src', 'alt', 'title'],
+  span: ['class']
+};
+
+// Elements removed together with everything inside them
+const DROPPED_ELEMENTS = new Set([
+  'script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet',
+  'noscript', 'template', 'svg', 'math', 'link', 'meta', 'base', 'form',
+  'textarea', 'select', 'button', 'audio', 'video', 'source', 'track', 'title'
+]);
+
+// Protocols a link may use; relative URLs and fragments are allowed as well
+const SAFE_LINK_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+
+// Matches class names the renderer produces, nothing else
+const SAFE_CLASS = /^(?:markdown-body|contains-task-list|task-list-item|stream-cursor|language-[\w+#.-]+)$/;
+
+/**
+ * Renders Markdown and sanitizes it before any of it reaches a live document
+ * @param {string} text - Markdown source, typically an AI response
+ * @param {Document} [doc=document] - Document the result is imported into
+ * @returns {DocumentFragment} - Sanitized content owned by doc
+ */
+function renderSanitizedMarkdown(text, doc = document) {
+  // A document without a browsing context never loads the img elements made in it
+  const inertDocument = doc.implementation.createHTMLDocument('');
+  return doc.importNode(sanitizeNode(renderMarkdown(text, inertDocument)), true);
+}
+
+/**
+ * Sanitizes a rendered node tree in place
+ * @param {Node} root - Element or DocumentFragment to clean
+ * @returns {Node} - The same node, for chaining
+ */
+function sanitizeNode(root) {
+  Array.from(root.childNodes).forEach(child => sanitizeChild(child));
+  return root;
+}
+
+/**
+ * Sanitizes one node and its subtree, replacing or removing it as needed
+ * @param {Node} node - Node to clean
+ */
+function sanitizeChild(node) {
+  if (node.nodeType === Node.TEXT_NODE) {
+    return;
+  }
+
+  if (node.nodeType !== Node.ELEMENT_NODE) {
+    // Comments, processing instructions and the like carry nothing we render
+    node.remove();
+    return;
+  }
+
+  const tagName = node.localName.toLowerCase();
+
+  if (DROPPED_ELEMENTS.has(tagName) || node.namespaceURI !== 'http://www.w3.org/1999/xhtml') {
+    node.remove();
+    return;
+  }
+
+  if (!Object.prototype.hasOwnProperty.call(ALLOWED_ELEMENTS, tagName)) {
+    // Keep the text of unknown elements but not the element itself
+    const children = Array.from(node.childNodes);
+    node.replaceWith(...children);
+    children.forEach(child => sanitizeChild(child));
+    return;
+  }
+
+  sanitizeAttributes(node, ALLOWED_ELEMENTS[tagName]);
+
+  if (tagName === 'input' && node.getAttribute('type') !== 'checkbox') {
+    node.remove();
+    return;
+  }
+
+  if (tagName === 'img') {
+    node.replaceWith(imageToLink(node));
+    return;
+  }
+
+  if (tagName === 'a') {
+    if (!node.hasAttribute('href')) {
+      const children = Array.from(node.childNodes);
+      node.replaceWith(...children);
+      children.forEach(child => sanitizeChild(child));
+      return;
+    }
+    node.setAttribute('target', '_blank');
+    node.setAttribute('rel', 'noopener noreferrer');
+  }
+
+  sanitizeNode(node);
+}
+
+/**
+ * Removes every attribute not on the element's allowlist and checks the rest
+ * @param {Element} element - Element to clean
+ * @param {string[]} allowed - Attribute names the element may keep
+ */
+function sanitizeAttributes(element, allowed) {
+  Array.from(element.attributes).forEach(attribute => {
+    const name = attribute.name.toLowerCase();
+
+    if (!allowed.includes(name)) {
+      element.removeAttribute(attribute.name);
+      return;
+    }
+
+    if ((name === 'href' || name === 'src') && !isSafeUrl(attribute.value)) {
+      element.removeAttribute(attribute.name);
+      return;
+    }
+
+    if (name === 'class') {
+      const classes = attribute.value.split(/\s+/).filter(className => SAFE_CLASS.test(className));
+      if (classes.length) {
+        element.setAttribute('class', classes.join(' '));
+      } else {
+        element.removeAttribute('class');
+      }
+      return;
+    }
+
+    if (name === 'align' && !/^(?:left|center|right)$/.test(attribute.value)) {
+      element.removeAttribute(attribute.name);
+    }
+  });
+}
+
+/**
+ * Checks whether a URL uses an allowed protocol
+ * @param {string} url - Attribute value to check
+ * @returns {boolean} - True if the URL is safe to keep
+ */
+function isSafeUrl(url) {
+  // Browsers ignore control characters and whitespace inside the scheme ("java\tscript:")
+  const normalized = url.replace(/[\u0000- \u007f-\u009f]/g, '');
+  const scheme = normalized.match(/^([^/?#]*?):/);
+
+  if (!scheme) {
+    // Relative URL or fragment
+    return true;
+  }
+  return SAFE_LINK_PROTOCOLS.includes(scheme[1].toLowerCase() + ':');
+}
+
+/**
+ * Replaces an image with a link to it, labelled by its alt text
+ * @param {HTMLImageElement} image - Sanitized image element
+ * @returns {Node} - Link to the image, or its alt text if the source was unsafe
+ */
+function imageToLink(image) {
+  const doc = image.ownerDocument;
+  const label = image.getAttribute('alt') || 'image';
+  const src = image.getAttribute('src');
+
+  if (!src || /^mailto:/i.test(src.trim())) {
+    return doc.createTextNode(label);
+  }
+
+  const link = doc.createElement('a');
+  link.setAttribute('href', src);
+  link.setAttribute('target', '_blank');
+  link.setAttribute('rel', 'noopener noreferrer');
+  if (image.hasAttribute('title')) link.setAttribute('title', image.getAttribute('title'));
+  link.textContent = `🖼 ${label}`;
+  return link;
+}
@@ -3,11 +3,114 @@
  * 
  * This script handles the setup page functionality including:
  * - Provider selection and UI updates
- * - API key and model configuration
+ * - API key and model configuration, with model discovery and a connection test
+ * - Generation settings and system prompt per provider
+ * - Turning page context on and setting its character budget
+ * - Listing the keyboard shortcuts
+ * - Custom OpenAI-compatible endpoints and their host permissions
+ * - Order of the fallback providers tried when the active one fails
+ * - Provider/model pairs for the "Compare" menu entry
+ * - Prompt action library for the context menu
  * - Storage of user preferences
  * - Status message display
  */
 
+// Providers that run locally and don't need an API key
+const KEYLESS_PROVIDERS = ['ollama'];
+const DEFAULT_OLLAMA_HOST = 'http://localhost:11434';
+
+// Provider select value for registering a new custom endpoint; saved ones use "custom:<id>"
+const NEW_CUSTOM_ENDPOINT = 'custom-new';
+
+// Generation setting fields and their valid ranges; empty fields fall back to
+// the defaults in background.js
+const GENERATION_FIELDS = [
+  { key: 'temperature', inputId: 'temperature-input', label: 'Temperature', min: 0, max: 2 },
+  { key: 'maxTokens', inputId: 'max-tokens-input', label: 'Max output tokens', min: 1, integer: true },
+  { key: 'topP', inputId: 'top-p-input', label: 'Top P', min: 0, max: 1 },
+  { key: 'topK', inputId: 'top-k-input', label: 'Top K', min: 1, integer: true }
+];
+
+// Allowed page context budgets in characters; an empty budget uses the default in background.js
+const MIN_CONTEXT_BUDGET = 200;
+const MAX_CONTEXT_BUDGET = 20000;
+
+// Color shown in the accent picker while the response window uses its default blue
+const DEFAULT_ACCENT_COLOR = '#4285f4';
+
+/**
+ * Checks whether a provider select value refers to a custom endpoint
+ * @param {string} provider - Provider select value
+ * @returns {boolean} - True for saved and new custom endpoints
+ */
+function isCustomProvider(provider) {
+  return provider === NEW_CUSTOM_ENDPOINT || provider.startsWith('custom:');
+}
+
+/**
+ * Parses "Name: value" lines into a headers object
+ * @param {string} text - Header lines as entered by the user
+ * @returns {Object} - Header names mapped to values
+ * @throws {Error} - If a line has no "Name: value" shape
+ */
+function parseHeaders(text) {
+  const headers = {};
+  text.split('\n').forEach(function(line) {
+    if (!line.trim()) return;
+    const separator = line.indexOf(':');
+    if (separator <= 0) {
+      throw new Error(`Invalid header line "${line.trim()}". Use "Name: value".`);
+    }
+    headers[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+  });
+  return headers;
+}
+
+/**
+ * Formats a headers object back into "Name: value" lines
+ * @param {Object} headers - Header names mapped to values
+ * @returns {string} - One header per line
+ */
+function formatHeaders(headers) {
+  return Object.entries(headers || {})
+    .map(([name, value]) => `${name}: ${value}`)
+    .join('\n');
+}
+
+/**
+ * Asks Chrome for access to an endpoint's origin through optional_host_permissions
+ * Must be called directly from a user gesture such as a click handler
+ * @param {string|null} url - Endpoint URL, or null when no extra access is needed
+ * @returns {Promise<boolean>} - Whether access is granted; rejects if the URL has no
+ *   http(s) origin or Chrome refuses the request
+ */
+function requestHostPermission(url) {
+  if (!url) return Promise.resolve(true);
+
+  let origin;
+  try {
+    const parsed = new URL(url);
+    if (!['http:', 'https:'].includes(parsed.protocol)) throw new Error();
+    origin = parsed.origin;
+  } catch (error) {
+    return Promise.reject(new Error(`${url} is not a valid http:// or https:// URL`));
+  }
+  return chrome.permissions.request({ origins: [`${origin}/*`] });
+}
+
+/**
+ * Checks that a URL is an absolute http(s) URL
+ * @param {string} url - URL to check
+ * @returns {boolean} - True if the URL can be used as an endpoint
+ */
+function isValidEndpointUrl(url) {
+  try {
+    return ['http:', 'https:'].includes(new URL(url).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
 document.addEventListener('DOMContentLoaded', function() {
   // ===== DOM ELEMENTS =====
   const providerSelect = document.getElementById('provider-select');
@@ -17,6 +120,63 @@ document.addEventListener('DOMContentLoaded', function() {
   const statusMessage = document.getElementById('status-message');
   const apiKeySection = document.querySelector('.api-key-section');
   const modelInputSection = document.querySelector('.model-input-section');
+  const ollamaHostSection = document.querySelector('.ollama-host-section');
+  const ollamaHostInput = document.getElementById('ollama-host');
+  const modelSuggestions = document.getElementById('model-suggestions');
+  const loadModelsBtn = document.getElementById('load-models-btn');
+  const testConnectionBtn = document.getElementById('test-connection-btn');
+  const customEndpointOptions = document.getElementById('custom-endpoint-options');
+  const customNameInput = document.getElementById('custom-name');
+  const customBaseUrlInput = document.getElementById('custom-base-url');
+  const customHeadersInput = document.getElementById('custom-headers');
+  const deleteEndpointBtn = document.getElementById('delete-endpoint-btn');
+  const generationSettings = document.getElementById('generation-settings');
+  const systemPromptInput = document.getElementById('system-prompt');
+  const fallbackList = document.getElementById('fallback-list');
+  const fallbackStatusMessage = document.getElementById('fallback-status-message');
+  const compareList = document.getElementById('compare-list');
+  const compareProviderSelect = document.getElementById('compare-provider');
+  const compareModelInput = document.getElementById('compare-model');
+  const addCompareBtn = document.getElementById('add-compare-btn');
+  const compareStatusMessage = document.getElementById('compare-status-message');
+  const actionList = document.getElementById('action-list');
+  const actionTitleInput = document.getElementById('action-title');
+  const actionTemplateInput = document.getElementById('action-template');
+  const saveActionBtn = document.getElementById('save-action-btn');
+  const cancelActionBtn = document.getElementById('cancel-action-btn');
+  const actionStatusMessage = document.getElementById('action-status-message');
+  const pageContextCheckbox = document.getElementById('page-context-enabled');
+  const pageContextBudgetInput = document.getElementById('page-context-budget');
+  const pageContextStatusMessage = document.getElementById('page-context-status-message');
+  const cacheStats = document.getElementById('cache-stats');
+  const clearCacheBtn = document.getElementById('clear-cache-btn');
+  const cacheStatusMessage = document.getElementById('cache-status-message');
+  const panelNearSelectionCheckbox = document.getElementById('panel-near-selection');
+  const panelLayoutStats = document.getElementById('panel-layout-stats');
+  const resetLayoutsBtn = document.getElementById('reset-layouts-btn');
+  const panelStatusMessage = document.getElementById('panel-status-message');
+  const themeSelect = document.getElementById('theme-select');
+  const accentColorInput = document.getElementById('accent-color');
+  const resetAccentBtn = document.getElementById('reset-accent-btn');
+  const fontSizeSelect = document.getElementById('font-size-select');
+  const densitySelect = document.getElementById('density-select');
+  const appearanceStatusMessage = document.getElementById('appearance-status-message');
+  const shortcutList = document.getElementById('shortcut-list');
+  const shortcutsBtn = document.getElementById('shortcuts-btn');
+
+  // Fallback chain (provider IDs in order) as last loaded from storage
+  let fallbackProviders = [];
+
+  // Provider/model pairs to compare, as last loaded from storage
+  let compareTargets = [];
+
+  // Models listed by "Load Models" for the selected provider; their context
+  // length is saved with the config so long pages are split to fit the model
+  let loadedModels = [];
+
+  // Prompt actions as last loaded from storage, and the one being edited (if any)
+  let promptActions = [];
+  let editingActionId = null;
 
   /**
    * Updates the UI based on selected provider
@@ -30,12 +190,20 @@ document.addEventListener('DOMContentLoaded', function() {
       el.style.display = 'none';
     });
     
-    // Show only the selected provider's instructions
-    document.getElementById(`${provider}-setup`).style.display = 'block';
+    // Show only the selected provider's instructions (all custom endpoints share one form)
+    const sectionId = isCustomProvider(provider) ? 'custom-setup' : `${provider}-setup`;
+    document.getElementById(sectionId).style.display = 'block';
+    deleteEndpointBtn.style.display = provider.startsWith('custom:') ? 'inline-block' : 'none';
     
-    // Ensure input sections are visible
-    apiKeySection.classList.remove('hidden');
+    // Show the key input only for providers that need one, and the host input for Ollama
+    apiKeySection.classList.toggle('hidden', KEYLESS_PROVIDERS.includes(provider));
+    apiKeyInput.placeholder = isCustomProvider(provider)
+      ? 'Paste your API key here (leave empty if the endpoint needs none)'
+      : 'Paste your API key here';
+    ollamaHostSection.classList.toggle('hidden', provider !== 'ollama');
     modelInputSection.style.display = 'block';
+    modelSuggestions.textContent = '';
+    loadedModels = [];
     
     // Set provider-specific model suggestions in placeholder
     updateModelPlaceholder(provider);
@@ -51,15 +219,243 @@ document.addEventListener('DOMContentLoaded', function() {
   function updateModelPlaceholder(provider) {
     switch (provider) {
       case 'gemini':
-        modelInput.placeholder = 'e.g., gemini-1.5-flash, gemini-2.0-flash';
+        modelInput.placeholder = 'e.g., gemini-2.5-flash, gemini-2.0-flash';
         break;
       case 'openrouter':
-        modelInput.placeholder = 'e.g., google/gemma-3-27b-it:free, qwen/qwq-32b:free';
+        modelInput.placeholder = 'e.g., google/gemma-3-27b-it:free (or use Load Models)';
         break;
       case 'groq':
-        modelInput.placeholder = 'e.g., mistral-saba-24b, llama3-70b-8192';
+        modelInput.placeholder = 'e.g., llama-3.3-70b-versatile, llama-3.1-8b-instant';
+        break;
+      case 'ollama':
+        modelInput.placeholder = 'e.g., llama3.2, qwen2.5:7b';
         break;
+      default:
+        modelInput.placeholder = 'Enter the model name the endpoint expects';
+        break;
+    }
+  }
+
+  /**
+   * Rebuilds the custom endpoint entries in the provider dropdown
+   * @param {Object} apiConfig - Saved provider configurations
+   */
+  function renderCustomEndpointOptions(apiConfig) {
+    customEndpointOptions.querySelectorAll('option:not([value="custom-new"])').forEach(el => el.remove());
+    const newEndpointOption = customEndpointOptions.querySelector('option');
+
+    Object.keys(apiConfig || {})
+      .filter(provider => provider.startsWith('custom:'))
+      .forEach(function(provider) {
+        const option = document.createElement('option');
+        option.value = provider;
+        option.textContent = apiConfig[provider].name;
+        customEndpointOptions.insertBefore(option, newEndpointOption);
+      });
+  }
+
+  /**
+   * Reads the provider fields into a configuration object
+   * @param {string} provider - Selected provider
+   * @returns {{config: Object, endpointUrl: string|null}} - Configuration, and the URL
+   *   that needs host permission (null for built-in providers)
+   * @throws {Error} - With a message for the user if a field is invalid
+   */
+  function readProviderForm(provider) {
+    const config = {
+      apiKey: apiKeyInput.value.trim(),
+      selectedModel: modelInput.value.trim()
+    };
+    let endpointUrl = null;
+
+    if (!config.apiKey && !KEYLESS_PROVIDERS.includes(provider) && !isCustomProvider(provider)) {
+      throw new Error('Please enter an API key');
+    }
+
+    if (provider === 'ollama') {
+      config.host = ollamaHostInput.value.trim() || DEFAULT_OLLAMA_HOST;
+
+      if (!isValidEndpointUrl(config.host)) {
+        throw new Error('Please enter a valid Ollama host (http:// or https://)');
+      }
+
+      endpointUrl = config.host;
+    } else if (isCustomProvider(provider)) {
+      config.name = customNameInput.value.trim();
+      config.baseUrl = customBaseUrlInput.value.trim();
+
+      if (!isValidEndpointUrl(config.baseUrl)) {
+        throw new Error('Please enter a valid base URL (http:// or https://)');
+      }
+
+      config.headers = parseHeaders(customHeadersInput.value);
+      endpointUrl = config.baseUrl;
+    }
+
+    // Empty fields are left out so background.js uses its defaults
+    GENERATION_FIELDS.forEach(function(field) {
+      const text = document.getElementById(field.inputId).value.trim();
+      if (!text) return;
+
+      const value = Number(text);
+      if (!Number.isFinite(value) || value < field.min || value > (field.max ?? Infinity) ||
+          (field.integer && !Number.isInteger(value))) {
+        const range = field.max === undefined ? `at least ${field.min}` : `between ${field.min} and ${field.max}`;
+        throw new Error(`${field.label} must be ${field.integer ? 'a whole number' : 'a number'} ${range}`);
+      }
+      config[field.key] = value;
+    });
+
+    const systemPrompt = systemPromptInput.value.trim();
+    if (systemPrompt) {
+      config.systemPrompt = systemPrompt;
     }
+
+    return { config, endpointUrl };
+  }
+
+  /**
+   * Gets the background.js adapter ID for a provider select value
+   * @param {string} provider - Selected provider
+   * @returns {string} - Adapter ID; all custom endpoints share one adapter
+   */
+  function getAdapterId(provider) {
+    return isCustomProvider(provider) ? 'custom' : provider;
+  }
+
+  /**
+   * Fetches the provider's models with the entered key and offers them as suggestions
+   * The request goes through background.js, which owns the provider adapters
+   */
+  loadModelsBtn.addEventListener('click', function() {
+    const provider = providerSelect.value;
+    let form;
+    try {
+      form = readProviderForm(provider);
+    } catch (error) {
+      showStatus(error.message, 'error');
+      return;
+    }
+
+    loadModelsBtn.disabled = true;
+    requestHostPermission(form.endpointUrl).then(function(granted) {
+      if (!granted) {
+        loadModelsBtn.disabled = false;
+        showStatus('Permission to access the endpoint was denied', 'error');
+        return;
+      }
+      chrome.runtime.sendMessage({
+        action: 'listModels',
+        provider: getAdapterId(provider),
+        config: form.config
+      }, showModelSuggestions);
+    }).catch(function(error) {
+      loadModelsBtn.disabled = false;
+      showStatus(`Could not get access to the endpoint: ${error.message}`, 'error');
+    });
+  });
+
+  /**
+   * Offers listed models as suggestions for the model name field
+   * Each suggestion is labelled with its context length and whether it is free, where known
+   * @param {Object} result - { models } or { error } from background.js
+   */
+  function showModelSuggestions(result) {
+    loadModelsBtn.disabled = false;
+
+    if (!result || result.error) {
+      showStatus(result ? result.error : 'Could not load models', 'error');
+      return;
+    }
+
+    modelSuggestions.textContent = '';
+    loadedModels = result.models;
+    result.models.forEach(function(model) {
+      const option = document.createElement('option');
+      option.value = model.id;
+      option.label = [
+        model.contextLength ? `${formatTokenCount(model.contextLength)} context` : null,
+        model.free === true ? 'Free' : model.free === false ? 'Paid' : null
+      ].filter(Boolean).join(' · ');
+      modelSuggestions.appendChild(option);
+    });
+
+    if (result.models.length === 0) {
+      showStatus(providerSelect.value === 'ollama'
+        ? 'No models installed. Pull one with "ollama pull <model>".'
+        : 'The endpoint did not list any models', 'error');
+    } else {
+      const freeCount = result.models.filter(model => model.free).length;
+      showStatus(`Found ${result.models.length} models${freeCount ? ` (${freeCount} free)` : ''}. ` +
+        'Type in the model name field to search them.', 'success');
+      if (!modelInput.value) {
+        modelInput.value = result.models[0].id;
+      }
+    }
+  }
+
+  /**
+   * Formats a context length for the model suggestions, e.g. 131072 as "128K"
+   * @param {number} tokens - Context length in tokens
+   * @returns {string} - Short form
+   */
+  function formatTokenCount(tokens) {
+    if (tokens >= 1024 * 1024) {
+      return `${+(tokens / (1024 * 1024)).toFixed(1)}M`;
+    }
+    return tokens >= 1024 ? `${Math.round(tokens / 1024)}K` : String(tokens);
+  }
+
+  /**
+   * Sends a tiny prompt with the entered settings and reports the answer or the exact error
+   * Nothing is saved, so settings can be checked before saving them
+   */
+  testConnectionBtn.addEventListener('click', function() {
+    const provider = providerSelect.value;
+    let form;
+    try {
+      form = readProviderForm(provider);
+    } catch (error) {
+      showStatus(error.message, 'error');
+      return;
+    }
+
+    if (!form.config.selectedModel) {
+      showStatus('Please enter a model name', 'error');
+      return;
+    }
+
+    testConnectionBtn.disabled = true;
+    testConnectionBtn.textContent = 'Testing...';
+    requestHostPermission(form.endpointUrl).then(function(granted) {
+      if (!granted) {
+        showConnectionResult({ error: 'Permission to access the endpoint was denied' });
+        return;
+      }
+      chrome.runtime.sendMessage({
+        action: 'testConnection',
+        provider: getAdapterId(provider),
+        config: form.config
+      }, showConnectionResult);
+    }).catch(function(error) {
+      showConnectionResult({ error: `Could not get access to the endpoint: ${error.message}` });
+    });
+  });
+
+  /**
+   * Reports the outcome of a connection test
+   * @param {Object} result - { reply, latency } or { error } from background.js
+   */
+  function showConnectionResult(result) {
+    testConnectionBtn.disabled = false;
+    testConnectionBtn.textContent = 'Test Connection';
+
+    if (!result || result.error) {
+      showStatus(`Connection failed: ${result ? result.error : 'no response from the extension'}`, 'error');
+      return;
+    }
+    const reply = result.reply.length > 60 ? result.reply.slice(0, 59) + '…' : result.reply;
+    showStatus(`Connected! ${modelInput.value.trim()} answered "${reply}" in ${(result.latency / 1000).toFixed(1)} s.`, 'success');
   }
 
   /**
@@ -69,12 +465,33 @@ document.addEventListener('DOMContentLoaded', function() {
   function loadProviderConfig(provider) {
     chrome.storage.local.get(['apiConfig'], function(data) {
       if (data.apiConfig && data.apiConfig[provider]) {
-        apiKeyInput.value = data.apiConfig[provider].apiKey;
-        modelInput.value = data.apiConfig[provider].selectedModel;
+        const config = data.apiConfig[provider];
+        apiKeyInput.value = config.apiKey || '';
+        modelInput.value = config.selectedModel;
+        ollamaHostInput.value = config.host || '';
+        customNameInput.value = config.name || '';
+        customBaseUrlInput.value = config.baseUrl || '';
+        customHeadersInput.value = formatHeaders(config.headers);
+        GENERATION_FIELDS.forEach(function(field) {
+          document.getElementById(field.inputId).value = config[field.key] ?? '';
+        });
+        systemPromptInput.value = config.systemPrompt || '';
+        // Show the settings when this provider has any of its own
+        generationSettings.open = GENERATION_FIELDS.some(field => config[field.key] !== undefined) ||
+          Boolean(config.systemPrompt);
       } else {
         // Clear inputs if no configuration exists
         apiKeyInput.value = '';
         modelInput.value = '';
+        ollamaHostInput.value = '';
+        customNameInput.value = '';
+        customBaseUrlInput.value = '';
+        customHeadersInput.value = '';
+        GENERATION_FIELDS.forEach(function(field) {
+          document.getElementById(field.inputId).value = '';
+        });
+        systemPromptInput.value = '';
+        generationSettings.open = false;
       }
     });
   }
@@ -85,8 +502,6 @@ document.addEventListener('DOMContentLoaded', function() {
    */
   saveBtn.addEventListener('click', function() {
     const provider = providerSelect.value;
-    const apiKey = apiKeyInput.value.trim();
-    const selectedModel = modelInput.value.trim();
     
     // Input validation
     if (!provider) {
@@ -94,46 +509,643 @@ document.addEventListener('DOMContentLoaded', function() {
       return;
     }
 
-    if (!apiKey) {
-      showStatus('Please enter an API key', 'error');
+    let form;
+    try {
+      form = readProviderForm(provider);
+    } catch (error) {
+      showStatus(error.message, 'error');
       return;
     }
+    const { config, endpointUrl } = form;
 
-    if (!selectedModel) {
+    if (!config.selectedModel) {
       showStatus('Please enter a model name', 'error');
       return;
     }
 
-    // Save configuration to Chrome storage
-    chrome.storage.local.get(['apiConfig'], function(data) {
+    if (isCustomProvider(provider) && !config.name) {
+      showStatus('Please enter a name for the endpoint', 'error');
+      return;
+    }
+
+    // New custom endpoints get their ID when first saved
+    const providerId = provider === NEW_CUSTOM_ENDPOINT ? `custom:${Date.now().toString(36)}` : provider;
+
+    // Request access before anything async so Chrome still sees the click
+    requestHostPermission(endpointUrl).then(function(granted) {
+      if (!granted) {
+        showStatus('Permission to access the endpoint was denied', 'error');
+        return;
+      }
+
+      // Save configuration to Chrome storage
+      chrome.storage.local.get(['apiConfig'], function(data) {
+        const apiConfig = data.apiConfig || {};
+        const listed = loadedModels.find(model => model.id === config.selectedModel);
+        const previous = apiConfig[providerId];
+        const contextLength = listed
+          ? listed.contextLength
+          : previous && previous.selectedModel === config.selectedModel ? previous.contextLength : null;
+        if (contextLength) {
+          config.contextLength = contextLength;
+        }
+        apiConfig[providerId] = config;
+        
+        chrome.storage.local.set({ 
+          apiConfig: apiConfig,
+          activeProvider: providerId  // Set as active provider
+        }, function() {
+          renderCustomEndpointOptions(apiConfig);
+          providerSelect.value = providerId;
+          deleteEndpointBtn.style.display = providerId.startsWith('custom:') ? 'inline-block' : 'none';
+          showStatus('Configuration saved successfully!', 'success');
+        });
+      });
+    }).catch(function(error) {
+      showStatus(`Could not get access to the endpoint: ${error.message}`, 'error');
+    });
+  });
+
+  /**
+   * Removes the selected custom endpoint
+   * If it was active, another configured provider takes over
+   */
+  deleteEndpointBtn.addEventListener('click', function() {
+    const provider = providerSelect.value;
+    if (!provider.startsWith('custom:')) return;
+
+    chrome.storage.local.get(['apiConfig', 'activeProvider', 'fallbackProviders', 'compareTargets'], function(data) {
       const apiConfig = data.apiConfig || {};
-      apiConfig[provider] = {
-        apiKey: apiKey,
-        selectedModel: selectedModel
-      };
-      
-      chrome.storage.local.set({ 
+      delete apiConfig[provider];
+
+      // The fallback chain and comparisons must not try the deleted endpoint
+      const updates = {
         apiConfig: apiConfig,
-        activeProvider: provider  // Set as active provider
-      }, function() {
-        showStatus('Configuration saved successfully!', 'success');
+        fallbackProviders: (data.fallbackProviders || []).filter(id => id !== provider),
+        compareTargets: (data.compareTargets || []).filter(target => target.provider !== provider)
+      };
+      let nextProvider = data.activeProvider;
+      if (data.activeProvider === provider) {
+        nextProvider = Object.keys(apiConfig)[0];
+        updates.activeProvider = nextProvider;
+      }
+
+      chrome.storage.local.set(updates, function() {
+        if (!nextProvider) {
+          chrome.storage.local.remove('activeProvider');
+        }
+        renderCustomEndpointOptions(apiConfig);
+        providerSelect.value = nextProvider || 'gemini';
+        providerSelect.dispatchEvent(new Event('change'));
+        showStatus('Endpoint deleted', 'success');
       });
     });
   });
 
+  // ===== FALLBACK PROVIDERS =====
+
+  /**
+   * Gets the name shown for a configured provider
+   * @param {string} provider - Provider ID as stored in apiConfig
+   * @param {Object} apiConfig - Saved provider configurations
+   * @returns {string} - Display name
+   */
+  function getProviderLabel(provider, apiConfig) {
+    if (provider.startsWith('custom:')) {
+      return apiConfig[provider].name;
+    }
+    const option = providerSelect.querySelector(`option[value="${provider}"]`);
+    return option ? option.textContent : provider;
+  }
+
+  /**
+   * Lists every configured provider except the active one; checked ones form the
+   * fallback chain and come first, in the order they are tried
+   */
+  function renderFallbackChain() {
+    chrome.storage.local.get(['apiConfig', 'activeProvider', 'fallbackProviders'], function(data) {
+      const apiConfig = data.apiConfig || {};
+      const candidates = Object.keys(apiConfig).filter(provider => provider !== data.activeProvider);
+      fallbackProviders = (data.fallbackProviders || []).filter(provider => candidates.includes(provider));
+      fallbackList.textContent = '';
+
+      if (candidates.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'action-template';
+        empty.textContent = 'Configure another provider above to use it as a fallback.';
+        fallbackList.appendChild(empty);
+        return;
+      }
+
+      const unused = candidates.filter(provider => !fallbackProviders.includes(provider));
+      fallbackProviders.concat(unused).forEach(function(provider) {
+        const index = fallbackProviders.indexOf(provider);
+        const item = document.createElement('li');
+        item.className = 'action-item';
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = index !== -1;
+        checkbox.id = `fallback-${provider}`;
+        checkbox.addEventListener('change', function() {
+          if (checkbox.checked) {
+            fallbackProviders.push(provider);
+          } else {
+            fallbackProviders.splice(fallbackProviders.indexOf(provider), 1);
+          }
+          saveFallbackChain(checkbox.checked ? 'Fallback added' : 'Fallback removed');
+        });
+        item.appendChild(checkbox);
+
+        const details = document.createElement('label');
+        details.className = 'action-details';
+        details.htmlFor = checkbox.id;
+        const title = document.createElement('div');
+        title.className = 'action-title';
+        title.textContent = index === -1
+          ? getProviderLabel(provider, apiConfig)
+          : `${index + 1}. ${getProviderLabel(provider, apiConfig)}`;
+        const model = document.createElement('div');
+        model.className = 'action-template';
+        model.textContent = apiConfig[provider].selectedModel || 'No model selected';
+        details.appendChild(title);
+        details.appendChild(model);
+        item.appendChild(details);
+
+        if (index !== -1) {
+          item.appendChild(createActionButton('↑', 'Try earlier', index === 0, function() {
+            moveFallback(index, -1);
+          }));
+          item.appendChild(createActionButton('↓', 'Try later', index === fallbackProviders.length - 1, function() {
+            moveFallback(index, 1);
+          }));
+        }
+
+        fallbackList.appendChild(item);
+      });
+    });
+  }
+
+  /**
+   * Stores the fallback chain; the list is re-rendered by the storage listener
+   * @param {string} message - Status message shown once saved
+   */
+  function saveFallbackChain(message) {
+    chrome.storage.local.set({ fallbackProviders: fallbackProviders }, function() {
+      showStatus(message, 'success', fallbackStatusMessage);
+    });
+  }
+
+  /**
+   * Swaps a fallback with its neighbour to change the order they are tried in
+   * @param {number} index - Position in the chain
+   * @param {number} direction - -1 to move up, 1 to move down
+   */
+  function moveFallback(index, direction) {
+    const target = index + direction;
+    [fallbackProviders[index], fallbackProviders[target]] = [fallbackProviders[target], fallbackProviders[index]];
+    saveFallbackChain('Fallback order updated');
+  }
+
+  // Saving or deleting a provider changes which ones can be fallbacks
+  chrome.storage.onChanged.addListener(function(changes, areaName) {
+    if (areaName === 'local' && (changes.apiConfig || changes.activeProvider || changes.fallbackProviders)) {
+      renderFallbackChain();
+    }
+  });
+
+  // ===== COMPARE MODELS =====
+
+  /**
+   * Renders the models picked for comparison and fills the provider choice
+   * with the configured providers
+   */
+  function renderCompareTargets() {
+    chrome.storage.local.get(['apiConfig', 'compareTargets'], function(data) {
+      const apiConfig = data.apiConfig || {};
+      compareTargets = data.compareTargets || [];
+
+      const current = compareProviderSelect.value;
+      compareProviderSelect.textContent = '';
+      Object.keys(apiConfig).forEach(function(provider) {
+        compareProviderSelect.add(new Option(getProviderLabel(provider, apiConfig), provider));
+      });
+      if (apiConfig[current]) {
+        compareProviderSelect.value = current;
+      }
+      compareModelInput.placeholder = apiConfig[compareProviderSelect.value]?.selectedModel ||
+        'Configure a provider above first';
+      addCompareBtn.disabled = compareProviderSelect.options.length === 0;
+
+      compareList.textContent = '';
+      if (compareTargets.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'action-template';
+        empty.textContent = 'No models picked yet.';
+        compareList.appendChild(empty);
+        return;
+      }
+
+      compareTargets.forEach(function(target, index) {
+        const item = document.createElement('li');
+        item.className = 'action-item';
+
+        const details = document.createElement('div');
+        details.className = 'action-details';
+        const title = document.createElement('div');
+        title.className = 'action-title';
+        title.textContent = target.model;
+        const provider = document.createElement('div');
+        provider.className = 'action-template';
+        provider.textContent = apiConfig[target.provider]
+          ? getProviderLabel(target.provider, apiConfig)
+          : 'Provider no longer configured, skipped';
+        details.appendChild(title);
+        details.appendChild(provider);
+        item.appendChild(details);
+
+        item.appendChild(createActionButton('Delete', 'Remove from comparison', false, function() {
+          compareTargets.splice(index, 1);
+          saveCompareTargets('Model removed');
+        }));
+        compareList.appendChild(item);
+      });
+    });
+  }
+
+  /**
+   * Stores the models to compare; background.js rebuilds the context menu on change
+   * @param {string} message - Status message shown once saved
+   */
+  function saveCompareTargets(message) {
+    chrome.storage.local.set({ compareTargets: compareTargets }, function() {
+      showStatus(message, 'success', compareStatusMessage);
+    });
+  }
+
+  compareProviderSelect.addEventListener('change', function() {
+    chrome.storage.local.get(['apiConfig'], function(data) {
+      compareModelInput.placeholder = data.apiConfig?.[compareProviderSelect.value]?.selectedModel || '';
+    });
+  });
+
+  /**
+   * Adds the chosen provider with the typed model, or its configured model
+   */
+  addCompareBtn.addEventListener('click', function() {
+    const provider = compareProviderSelect.value;
+    const model = compareModelInput.value.trim() || compareModelInput.placeholder;
+
+    if (!provider || !model) {
+      showStatus('Please choose a provider and model', 'error', compareStatusMessage);
+      return;
+    }
+
+    if (compareTargets.some(target => target.provider === provider && target.model === model)) {
+      showStatus('That model is already in the comparison', 'error', compareStatusMessage);
+      return;
+    }
+
+    compareTargets.push({ provider: provider, model: model });
+    compareModelInput.value = '';
+    saveCompareTargets(compareTargets.length < 2 ? 'Model added. Add one more to start comparing.' : 'Model added');
+  });
+
+  // Providers can be added or deleted above, and the list changes when a model is added
+  chrome.storage.onChanged.addListener(function(changes, areaName) {
+    if (areaName === 'local' && (changes.apiConfig || changes.compareTargets)) {
+      renderCompareTargets();
+    }
+  });
+
+  // ===== PROMPT ACTIONS =====
+
+  /**
+   * Renders the prompt action list with edit, reorder and delete controls
+   */
+  function renderPromptActions() {
+    actionList.textContent = '';
+
+    if (promptActions.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'action-template';
+      empty.textContent = 'No actions yet. The menu item will send the selected text as-is.';
+      actionList.appendChild(empty);
+      return;
+    }
+
+    promptActions.forEach(function(promptAction, index) {
+      const item = document.createElement('li');
+      item.className = 'action-item';
+
+      const details = document.createElement('div');
+      details.className = 'action-details';
+      const title = document.createElement('div');
+      title.className = 'action-title';
+      title.textContent = promptAction.title;
+      const template = document.createElement('div');
+      template.className = 'action-template';
+      template.textContent = promptAction.template;
+      template.title = promptAction.template;
+      details.appendChild(title);
+      details.appendChild(template);
+      item.appendChild(details);
+
+      item.appendChild(createActionButton('↑', 'Move up', index === 0, function() {
+        moveAction(index, -1);
+      }));
+      item.appendChild(createActionButton('↓', 'Move down', index === promptActions.length - 1, function() {
+        moveAction(index, 1);
+      }));
+      item.appendChild(createActionButton('Edit', 'Edit action', false, function() {
+        startEditingAction(promptAction);
+      }));
+      item.appendChild(createActionButton('Delete', 'Delete action', false, function() {
+        deleteAction(promptAction.id);
+      }));
+
+      actionList.appendChild(item);
+    });
+  }
+
+  /**
+   * Creates a small button for a prompt action row
+   * @param {string} text - Button label
+   * @param {string} title - Tooltip text
+   * @param {boolean} disabled - Whether the button is disabled
+   * @param {Function} clickHandler - Click event handler
+   * @returns {HTMLElement} - Button element
+   */
+  function createActionButton(text, title, disabled, clickHandler) {
+    const button = document.createElement('button');
+    button.textContent = text;
+    button.title = title;
+    button.disabled = disabled;
+    button.addEventListener('click', clickHandler);
+    return button;
+  }
+
+  /**
+   * Stores the prompt actions; background.js rebuilds the context menu on change
+   * @param {string} message - Status message shown once saved
+   */
+  function savePromptActions(message) {
+    chrome.storage.local.set({ promptActions: promptActions }, function() {
+      renderPromptActions();
+      showStatus(message, 'success', actionStatusMessage);
+    });
+  }
+
+  /**
+   * Swaps an action with its neighbour to change the menu order
+   * @param {number} index - Position of the action
+   * @param {number} direction - -1 to move up, 1 to move down
+   */
+  function moveAction(index, direction) {
+    const target = index + direction;
+    [promptActions[index], promptActions[target]] = [promptActions[target], promptActions[index]];
+    savePromptActions('Action order updated');
+  }
+
+  /**
+   * Removes an action from the library
+   * @param {string} id - ID of the action to delete
+   */
+  function deleteAction(id) {
+    promptActions = promptActions.filter(promptAction => promptAction.id !== id);
+    if (editingActionId === id) {
+      resetActionForm();
+    }
+    savePromptActions('Action deleted');
+  }
+
+  /**
+   * Loads an action into the form for editing
+   * @param {Object} promptAction - Action to edit
+   */
+  function startEditingAction(promptAction) {
+    editingActionId = promptAction.id;
+    actionTitleInput.value = promptAction.title;
+    actionTemplateInput.value = promptAction.template;
+    saveActionBtn.textContent = 'Update Action';
+    cancelActionBtn.style.display = 'inline-block';
+    actionTitleInput.focus();
+  }
+
+  /**
+   * Clears the action form back to "add" mode
+   */
+  function resetActionForm() {
+    editingActionId = null;
+    actionTitleInput.value = '';
+    actionTemplateInput.value = '';
+    saveActionBtn.textContent = 'Add Action';
+    cancelActionBtn.style.display = 'none';
+  }
+
+  /**
+   * Adds a new action or updates the one being edited
+   */
+  saveActionBtn.addEventListener('click', function() {
+    const title = actionTitleInput.value.trim();
+    const template = actionTemplateInput.value.trim();
+
+    if (!title) {
+      showStatus('Please enter an action name', 'error', actionStatusMessage);
+      return;
+    }
+
+    if (!template) {
+      showStatus('Please enter a prompt template', 'error', actionStatusMessage);
+      return;
+    }
+
+    if (editingActionId) {
+      const promptAction = promptActions.find(item => item.id === editingActionId);
+      if (promptAction) {
+        promptAction.title = title;
+        promptAction.template = template;
+      }
+      resetActionForm();
+      savePromptActions('Action updated');
+    } else {
+      promptActions.push({
+        id: Date.now().toString(36),
+        title: title,
+        template: template
+      });
+      resetActionForm();
+      savePromptActions('Action added');
+    }
+  });
+
+  cancelActionBtn.addEventListener('click', resetActionForm);
+
+  // ===== PAGE CONTEXT =====
+
+  /**
+   * Stores whether page context is sent and its budget
+   */
+  function savePageContext() {
+    const budgetText = pageContextBudgetInput.value.trim();
+    const budget = Number(budgetText);
+    if (budgetText && (!Number.isInteger(budget) || budget < MIN_CONTEXT_BUDGET || budget > MAX_CONTEXT_BUDGET)) {
+      showStatus(`Context budget must be a whole number between ${MIN_CONTEXT_BUDGET} and ${MAX_CONTEXT_BUDGET}`,
+        'error', pageContextStatusMessage);
+      return;
+    }
+
+    const pageContext = { enabled: pageContextCheckbox.checked };
+    if (budgetText) {
+      pageContext.maxChars = budget;
+    }
+    chrome.storage.local.set({ pageContext: pageContext }, function() {
+      showStatus(pageContext.enabled ? 'Page context will be sent' : 'Page context turned off',
+        'success', pageContextStatusMessage);
+    });
+  }
+
+  pageContextCheckbox.addEventListener('change', savePageContext);
+  pageContextBudgetInput.addEventListener('change', savePageContext);
+
+  // ===== RESPONSE CACHE =====
+
+  /**
+   * Shows the number of cached responses, their size and the hit rate
+   */
+  function loadCacheStats() {
+    chrome.runtime.sendMessage({ action: 'getCacheStats' }, function(stats) {
+      if (!stats || stats.error) {
+        cacheStats.textContent = 'Cache statistics are unavailable';
+        return;
+      }
+
+      const lookups = stats.hits + stats.misses;
+      const hitRate = lookups ? Math.round(stats.hits / lookups * 100) : 0;
+      cacheStats.textContent = `${stats.entries} cached ${stats.entries === 1 ? 'response' : 'responses'} ` +
+        `(${(stats.bytes / 1024).toFixed(1)} KB), hit rate ${hitRate}% (${stats.hits} of ${lookups} requests)`;
+    });
+  }
+
+  clearCacheBtn.addEventListener('click', function() {
+    chrome.runtime.sendMessage({ action: 'clearCache' }, function(result) {
+      if (!result || result.error) {
+        showStatus(result ? result.error : 'Could not clear the cache', 'error', cacheStatusMessage);
+        return;
+      }
+      showStatus('Cache cleared', 'success', cacheStatusMessage);
+      loadCacheStats();
+    });
+  });
+
+  // ===== RESPONSE WINDOW =====
+
+  /**
+   * Shows on how many sites the response window's position is remembered
+   * @param {Object} [panelLayouts] - Saved layouts by hostname
+   */
+  function renderPanelLayoutStats(panelLayouts) {
+    const sites = Object.keys(panelLayouts || {}).length;
+    panelLayoutStats.textContent = sites
+      ? `Position and size remembered on ${sites} ${sites === 1 ? 'site' : 'sites'}`
+      : 'No saved positions yet';
+    resetLayoutsBtn.disabled = sites === 0;
+  }
+
+  panelNearSelectionCheckbox.addEventListener('change', function() {
+    const panelSettings = { openNearSelection: panelNearSelectionCheckbox.checked };
+    chrome.storage.local.set({ panelSettings: panelSettings }, function() {
+      showStatus(panelSettings.openNearSelection
+        ? 'The response window will open next to the selection'
+        : 'The response window will open where you last left it',
+        'success', panelStatusMessage);
+    });
+  });
+
+  resetLayoutsBtn.addEventListener('click', function() {
+    chrome.storage.local.remove('panelLayouts', function() {
+      renderPanelLayoutStats({});
+      showStatus('Saved positions cleared', 'success', panelStatusMessage);
+    });
+  });
+
+  // ===== APPEARANCE =====
+
+  // Accent color as saved; null uses the theme's own blue
+  let accentColor = null;
+
+  /**
+   * Stores the response window's theme, accent color, text size and density
+   * Open response windows pick the change up from storage
+   */
+  function saveAppearance() {
+    const appearance = {
+      theme: themeSelect.value,
+      accentColor: accentColor,
+      fontSize: Number(fontSizeSelect.value),
+      density: densitySelect.value
+    };
+    chrome.storage.local.set({ appearance: appearance }, function() {
+      showStatus('Appearance saved', 'success', appearanceStatusMessage);
+    });
+  }
+
+  accentColorInput.addEventListener('change', function() {
+    accentColor = accentColorInput.value;
+    saveAppearance();
+  });
+
+  resetAccentBtn.addEventListener('click', function() {
+    accentColor = null;
+    accentColorInput.value = DEFAULT_ACCENT_COLOR;
+    saveAppearance();
+  });
+
+  themeSelect.addEventListener('change', saveAppearance);
+  fontSizeSelect.addEventListener('change', saveAppearance);
+  densitySelect.addEventListener('change', saveAppearance);
+
+  // ===== KEYBOARD SHORTCUTS =====
+
+  /**
+   * Lists the extension's commands with the keys currently assigned to them
+   */
+  function renderShortcuts() {
+    chrome.commands.getAll(function(commands) {
+      shortcutList.textContent = '';
+      commands.filter(command => command.description).forEach(function(command) {
+        const item = document.createElement('li');
+        const keys = document.createElement('kbd');
+        keys.textContent = command.shortcut || 'Not set';
+        item.appendChild(keys);
+        item.appendChild(document.createTextNode(` ${command.description}`));
+        shortcutList.appendChild(item);
+      });
+    });
+  }
+
+  // Shortcuts may have been changed in the tab opened below
+  window.addEventListener('focus', renderShortcuts);
+
+  // Extension pages can't link to chrome:// pages, but can open them in a tab
+  shortcutsBtn.addEventListener('click', function() {
+    chrome.tabs.create({ url: 'chrome://extensions/shortcuts' });
+  });
+
   /**
    * Displays a status message to the user
    * @param {string} message - Message text to display
    * @param {string} type - Message type ('success' or 'error')
+   * @param {HTMLElement} [element=statusMessage] - Status element to show the message in
    */
-  function showStatus(message, type) {
-    statusMessage.textContent = message;
-    statusMessage.className = 'status ' + type;
-    statusMessage.style.display = 'block';
+  function showStatus(message, type, element = statusMessage) {
+    element.textContent = message;
+    element.className = 'status ' + type;
+    element.style.display = 'block';
     
     // Auto-hide status message after 5 seconds
     setTimeout(function() {
-      statusMessage.style.display = 'none';
+      element.style.display = 'none';
     }, 5000);
   }
 
@@ -143,11 +1155,36 @@ document.addEventListener('DOMContentLoaded', function() {
    * Load existing configuration when page is loaded
    * Sets up the UI based on the active provider
    */
-  chrome.storage.local.get(['apiConfig', 'activeProvider'], function(data) {
+  chrome.storage.local.get(['apiConfig', 'activeProvider', 'promptActions', 'pageContext', 'panelSettings', 'panelLayouts',
+    'appearance'], function(data) {
+    renderCustomEndpointOptions(data.apiConfig);
+
     if (data.activeProvider) {
       providerSelect.value = data.activeProvider;
       // Trigger change event to load proper UI
       providerSelect.dispatchEvent(new Event('change'));
     }
+
+    promptActions = data.promptActions || [];
+    renderPromptActions();
+    renderFallbackChain();
+    renderCompareTargets();
+
+    const pageContext = data.pageContext || {};
+    pageContextCheckbox.checked = pageContext.enabled === true;
+    pageContextBudgetInput.value = pageContext.maxChars ?? '';
+
+    panelNearSelectionCheckbox.checked = data.panelSettings?.openNearSelection === true;
+    renderPanelLayoutStats(data.panelLayouts);
+
+    const appearance = data.appearance || {};
+    themeSelect.value = appearance.theme || 'auto';
+    accentColor = appearance.accentColor || null;
+    accentColorInput.value = accentColor || DEFAULT_ACCENT_COLOR;
+    fontSizeSelect.value = String(appearance.fontSize || 14);
+    densitySelect.value = appearance.density || 'comfortable';
   });
+
+  loadCacheStats();
+  renderShortcuts();
 });
\ No newline at end of file
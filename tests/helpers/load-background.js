@@ -0,0 +1,48 @@
+/**
+ * Test helper: loads the background service worker into a Node VM context
+ *
+ * background.js has no imports or exports, so it runs as a plain script and its
+ * top-level declarations are read back from the context. Chrome APIs are
+ * replaced with stand-ins that accept any call and do nothing.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const BACKGROUND_PATH = path.join(__dirname, '..', '..', 'js', 'background.js');
+
+/**
+ * Creates a stand-in for the chrome namespace
+ * Every property is another stand-in, and calling one resolves to undefined
+ * @returns {Proxy} - Object usable as chrome.*
+ */
+function createChromeStub() {
+  return new Proxy(function() {}, {
+    // Not thenable, so awaiting a stand-in doesn't hang
+    get: (target, name) => (name === 'then' ? undefined : createChromeStub()),
+    apply: () => Promise.resolve(undefined)
+  });
+}
+
+/**
+ * Runs background.js in a fresh context
+ * @returns {Object} - { context, evaluate } where evaluate(expression) reads any
+ *   top-level binding, including const and let ones
+ */
+function loadBackground() {
+  const context = vm.createContext({
+    chrome: createChromeStub(),
+    // Startup messages are left out of the test output
+    console: { ...console, log() {} },
+    fetch, Headers, Response, TextDecoder, TextEncoder, AbortController,
+    setTimeout, clearTimeout, crypto, URL, btoa
+  });
+  vm.runInContext(fs.readFileSync(BACKGROUND_PATH, 'utf8'), context, { filename: BACKGROUND_PATH });
+  return {
+    context,
+    evaluate: expression => vm.runInContext(expression, context)
+  };
+}
+
+module.exports = { loadBackground };
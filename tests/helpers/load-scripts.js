@@ -0,0 +1,39 @@
+/**
+ * Test helper: loads extension scripts into a jsdom window
+ *
+ * The scripts in js/ are plain browser scripts that define globals, so they are
+ * evaluated in a window the same way the manifest and history.html load them.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const JS_DIR = path.join(__dirname, '..', '..', 'js');
+
+/**
+ * Creates a window with scripts from js/ evaluated in it
+ * @param {Array<string>} names - Script names without extension, in load order
+ * @returns {Window} - jsdom window exposing the scripts' functions
+ */
+function loadScripts(names) {
+  const dom = new JSDOM('<!DOCTYPE html><html><body></body></html>', { runScripts: 'outside-only' });
+  names.forEach(name => {
+    dom.window.eval(fs.readFileSync(path.join(JS_DIR, `${name}.js`), 'utf8'));
+  });
+  return dom.window;
+}
+
+/**
+ * Serializes a node's children to HTML
+ * @param {Window} window - Window the node belongs to
+ * @param {Node} node - Element or DocumentFragment
+ * @returns {string} - HTML of the children
+ */
+function toHtml(window, node) {
+  const container = window.document.createElement('div');
+  container.appendChild(node);
+  return container.innerHTML;
+}
+
+module.exports = { loadScripts, toHtml };
@@ -0,0 +1,200 @@
+/**
+ * Tests for the Markdown renderer (js/markdown.js)
+ *
+ * Each file in fixtures/markdown pairs a typical model answer (.md) with the HTML
+ * it must render to (.html); the unit tests below pin down individual rules.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { loadScripts, toHtml } = require('./helpers/load-scripts');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'markdown');
+
+const window = loadScripts(['markdown']);
+
+/**
+ * Renders Markdown and returns the resulting HTML
+ * @param {string} text - Markdown source
+ * @returns {string} - Rendered HTML
+ */
+function render(text) {
+  return toHtml(window, window.renderMarkdown(text));
+}
+
+// ===== FIXTURES =====
+
+test.describe('fixtures of typical model answers', () => {
+  fs.readdirSync(FIXTURE_DIR).filter(name => name.endsWith('.md')).forEach(name => {
+    test(name, () => {
+      const source = fs.readFileSync(path.join(FIXTURE_DIR, name), 'utf8');
+      const expected = fs.readFileSync(path.join(FIXTURE_DIR, name.replace(/\.md$/, '.html')), 'utf8');
+      assert.strictEqual(render(source), expected.trim());
+    });
+  });
+});
+
+// ===== BLOCKS =====
+
+test.describe('blocks', () => {
+  test('ATX and setext headings', () => {
+    assert.strictEqual(render('# One\n## Two ##\n###### Six'), '<h1>One</h1><h2>Two</h2><h6>Six</h6>');
+    assert.strictEqual(render('Title\n=====\n\nSub\n---'), '<h1>Title</h1><h2>Sub</h2>');
+  });
+
+  test('a heading needs a space after the hashes', () => {
+    assert.strictEqual(render('#hashtag'), '<p>#hashtag</p>');
+  });
+
+  test('paragraphs are separated by blank lines and keep soft breaks', () => {
+    assert.strictEqual(render('one\ntwo\n\nthree'), '<p>one\ntwo</p><p>three</p>');
+  });
+
+  test('hard line breaks from two trailing spaces or a backslash', () => {
+    assert.strictEqual(render('one  \ntwo\\\nthree'), '<p>one<br>two<br>three</p>');
+  });
+
+  test('fenced code keeps its language and content verbatim', () => {
+    assert.strictEqual(
+      render('```python\ndef f(*args, **kwargs):\n    return 2 * 3\n```'),
+      '<pre data-language="python"><code class="language-python">def f(*args, **kwargs):\n    return 2 * 3</code></pre>'
+    );
+  });
+
+  test('tilde fences and unclosed fences', () => {
+    assert.strictEqual(render('~~~\n<b>x</b>\n~~~'), '<pre><code>&lt;b&gt;x&lt;/b&gt;</code></pre>');
+    assert.strictEqual(render('```js\nstill streaming'), '<pre data-language="js"><code class="language-js">still streaming</code></pre>');
+  });
+
+  test('indented code', () => {
+    assert.strictEqual(render('    a * b'), '<pre><code>a * b</code></pre>');
+  });
+
+  test('block quotes can contain other blocks', () => {
+    assert.strictEqual(render('> # Title\n> - item'), '<blockquote><h1>Title</h1><ul><li>item</li></ul></blockquote>');
+  });
+
+  test('thematic breaks', () => {
+    assert.strictEqual(render('a\n\n***\n\n- - -'), '<p>a</p><hr><hr>');
+  });
+
+  test('deep nesting stops at a fixed depth instead of overflowing the stack', () => {
+    const quotes = window.renderMarkdown('>'.repeat(3000) + ' x');
+    assert.strictEqual(quotes.querySelectorAll('blockquote').length, 100);
+    assert.match(quotes.querySelector('p').textContent, /^>+ x$/);
+
+    const lists = window.renderMarkdown('- '.repeat(2000) + 'x');
+    assert.strictEqual(lists.querySelectorAll('li').length, 100);
+    const items = lists.querySelectorAll('li');
+    assert.match(items[items.length - 1].textContent, /^(- )+x$/);
+  });
+});
+
+// ===== LISTS =====
+
+test.describe('lists', () => {
+  test('bullet and ordered lists get one wrapper each', () => {
+    assert.strictEqual(render('- a\n- b'), '<ul><li>a</li><li>b</li></ul>');
+    assert.strictEqual(render('1. a\n2. b'), '<ol><li>a</li><li>b</li></ol>');
+  });
+
+  test('ordered lists keep their start number', () => {
+    assert.strictEqual(render('4. four\n5. five'), '<ol start="4"><li>four</li><li>five</li></ol>');
+  });
+
+  test('changing the marker starts a new list', () => {
+    assert.strictEqual(render('- a\n* b'), '<ul><li>a</li></ul><ul><li>b</li></ul>');
+  });
+
+  test('nested lists of both kinds', () => {
+    assert.strictEqual(
+      render('1. one\n   - sub\n     1. deep\n2. two'),
+      '<ol><li>one<ul><li>sub<ol><li>deep</li></ol></li></ul></li><li>two</li></ol>'
+    );
+  });
+
+  test('loose lists wrap items in paragraphs', () => {
+    assert.strictEqual(render('- a\n\n- b'), '<ul><li><p>a</p></li><li><p>b</p></li></ul>');
+  });
+
+  test('task lists', () => {
+    assert.strictEqual(
+      render('- [ ] todo\n- [x] done'),
+      '<ul class="contains-task-list">' +
+        '<li class="task-list-item"><input type="checkbox" disabled=""> todo</li>' +
+        '<li class="task-list-item"><input type="checkbox" disabled="" checked=""> done</li></ul>'
+    );
+  });
+});
+
+// ===== TABLES =====
+
+test.describe('tables', () => {
+  test('header, body and column alignment', () => {
+    assert.strictEqual(
+      render('| a | b | c |\n|:--|:-:|--:|\n| 1 | 2 | 3 |'),
+      '<table><thead><tr><th align="left">a</th><th align="center">b</th><th align="right">c</th></tr></thead>' +
+        '<tbody><tr><td align="left">1</td><td align="center">2</td><td align="right">3</td></tr></tbody></table>'
+    );
+  });
+
+  test('escaped pipes and missing cells', () => {
+    assert.strictEqual(
+      render('a | b\n--|--\nx \\| y'),
+      '<table><thead><tr><th>a</th><th>b</th></tr></thead><tbody><tr><td>x | y</td><td></td></tr></tbody></table>'
+    );
+  });
+
+  test('a pipe without a delimiter row is not a table', () => {
+    assert.strictEqual(render('a | b'), '<p>a | b</p>');
+  });
+});
+
+// ===== INLINES =====
+
+test.describe('inlines', () => {
+  test('emphasis, strong and strikethrough', () => {
+    assert.strictEqual(render('*a* _b_ **c** __d__ ~~e~~'), '<p><em>a</em> <em>b</em> <strong>c</strong> <strong>d</strong> <del>e</del></p>');
+  });
+
+  test('intraword underscores are not emphasis', () => {
+    assert.strictEqual(render('snake_case_name'), '<p>snake_case_name</p>');
+  });
+
+  test('asterisks inside code spans are left alone', () => {
+    assert.strictEqual(render('`a * b * c` and `**x**`'), '<p><code>a * b * c</code> and <code>**x**</code></p>');
+  });
+
+  test('inline links, reference links and titles', () => {
+    assert.strictEqual(
+      render('[a](https://a.example "A") [b][ref]\n\n[ref]: https://b.example'),
+      '<p><a href="https://a.example" title="A">a</a> <a href="https://b.example">b</a></p>'
+    );
+  });
+
+  test('autolinks and bare URLs', () => {
+    assert.strictEqual(
+      render('<https://a.example> and https://b.example/path.'),
+      '<p><a href="https://a.example">https://a.example</a> and <a href="https://b.example/path">https://b.example/path</a>.</p>'
+    );
+  });
+
+  test('images', () => {
+    assert.strictEqual(render('![alt text](https://img.example/a.png)'), '<p><img src="https://img.example/a.png" alt="alt text"></p>');
+  });
+
+  test('raw HTML is rendered as text', () => {
+    assert.strictEqual(render('<img src=x onerror=alert(1)>'), '<p>&lt;img src=x onerror=alert(1)&gt;</p>');
+  });
+
+  test('backslash escapes and entities', () => {
+    assert.strictEqual(render('\\*not em\\* &amp; &lt;b&gt; &#x41;'), '<p>*not em* &amp; &lt;b&gt; A</p>');
+  });
+
+  test('empty and missing input', () => {
+    assert.strictEqual(render(''), '');
+    assert.strictEqual(render(undefined), '');
+  });
+});
